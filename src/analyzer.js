@@ -0,0 +1,313 @@
+'use strict';
+
+const path = require('path');
+const Manifest = require('./manifest');
+
+/**
+ * Get a path that is easy to read for a module.  Files are made relative to the current working directory
+ * while modules that were required by name are left as they are.
+ *
+ * @ignore
+ * @param {String} file - The file for the module.
+ * @returns {String} The display path.
+ */
+function getDisplayPath(file) {
+  if (!path.isAbsolute(file)) {
+    return file;
+  }
+  return path.relative(process.cwd(), file).replace(/\\/g, '/');
+}
+
+/**
+ * Find out why each module was included in a bundle.  The shortest chain of requires from an entry or
+ * exposed module is found for every module.
+ *
+ * @ignore
+ * @param {Array} modules - The modules in the bundle.
+ * @returns {Object} The chain of files for each module keyed by file.
+ */
+function getChains(modules) {
+  const byFile = {};
+  modules.forEach(mod => { byFile[mod.file] = mod; });
+
+  // walk the requires breadth first from the entry modules
+  const parents = {};
+  const queue = modules.filter(mod => mod.entry).map(mod => mod.file);
+  queue.forEach(file => { parents[file] = null; });
+  while (queue.length) {
+    const file = queue.shift();
+    const deps = byFile[file].deps;
+    Object.keys(deps).forEach(name => {
+      const dep = deps[name];
+      if (typeof dep === 'string' && byFile[dep] && typeof parents[dep] === 'undefined') {
+        parents[dep] = file;
+        queue.push(dep);
+      }
+    });
+  }
+
+  const chains = {};
+  modules.forEach(mod => {
+    const chain = [];
+    let file = mod.file;
+    while (file) {
+      chain.unshift(getDisplayPath(file));
+      file = parents[file];
+    }
+    chains[mod.file] = chain;
+  });
+  return chains;
+}
+
+/**
+ * Get the folder that contains all of the given folders.
+ *
+ * @ignore
+ * @param {Array} folders - Folders relative to the input directory that use forward slashes.
+ * @returns {String} The common folder.  An empty string is the input directory.
+ */
+function getCommonFolder(folders) {
+  const parts = folders.map(folder => (folder ? folder.split('/') : []));
+  const result = [];
+  for (let i = 0; i < parts[0].length; i++) {
+    if (parts.some(folderParts => folderParts[i] !== parts[0][i])) {
+      break;
+    }
+    result.push(parts[0][i]);
+  }
+  return result.join('/');
+}
+
+/**
+ * Find modules that are in more than one app or lib bundle.  Each duplicate has a suggestion for the bundle it could
+ * be moved to so it's only downloaded once.  Files are suggested for the lib bundle of the closest common folder and
+ * npm modules for the package bundle of that folder.  When the closest common folder is the input directory the
+ * framework bundles are suggested instead.
+ *
+ * @ignore
+ * @param {Array} bundles - The bundles from the analysis.
+ * @param {String} frameworkName - The name of the framework folder.
+ * @returns {Array} The duplicated modules.
+ */
+function getDuplicates(bundles, frameworkName) {
+  const found = {};
+  bundles
+    .filter(item => item.kind === 'app' || item.kind === 'lib')
+    .forEach(item => {
+      item.modules.forEach(mod => {
+        found[mod.file] = found[mod.file] || { file: mod.file, size: mod.size, gzipSize: mod.gzipSize, bundles: [], sources: [] };
+        found[mod.file].bundles.push(item.id);
+        found[mod.file].sources.push(item.source);
+      });
+    });
+
+  return Object.keys(found)
+    .map(file => found[file])
+    .filter(dup => dup.bundles.length > 1)
+    .map(dup => {
+      const isPackage = /(^|\/)node_modules\//.test(dup.file);
+      const folder = getCommonFolder(dup.sources) || frameworkName;
+      return {
+        file: dup.file,
+        size: dup.size,
+        gzipSize: dup.gzipSize,
+        bundles: dup.bundles,
+        wasted: dup.size * (dup.bundles.length - 1),
+        suggestion: Manifest.getId(isPackage ? 'package' : 'lib', folder)
+      };
+    })
+    .sort((a, b) => b.wasted - a.wasted);
+}
+
+/**
+ * Create an analysis of what makes up each bundle.
+ *
+ * @param {Array} entries - The manifest entries for the bundles that were emitted.
+ * @param {Object} modules - The modules recorded for each bundle keyed by the id of the bundle.  Each module has
+ *                           a file, size, gzipSize, deps and entry property.
+ * @param {Object} [opts] - The options.
+ * @param {String} [opts.frameworkName] - The name of the framework folder.  Defaults to framework.
+ * @returns {Object} The analysis.  It has a bundles property with the modules in each bundle and a duplicates property
+ *                   that lists the modules found in more than one app or lib bundle.
+ */
+function createAnalysis(entries, modules, opts) {
+  const frameworkName = (opts && opts.frameworkName) || 'framework';
+  const bundles = entries
+    .map(entry => {
+      const id = Manifest.getId(entry.kind, entry.source);
+      const bundleModules = modules[id] || [];
+      const chains = getChains(bundleModules);
+      return {
+        id,
+        kind: entry.kind,
+        source: entry.source,
+        output: entry.output,
+        size: entry.size,
+        gzipSize: (typeof entry.gzipSize === 'number') ? entry.gzipSize : null,
+        modules: bundleModules
+          .map(mod => ({
+            file: getDisplayPath(mod.file),
+            size: mod.size,
+            gzipSize: mod.gzipSize,
+            chain: chains[mod.file]
+          }))
+          .sort((a, b) => b.size - a.size)
+      };
+    })
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+  return {
+    bundles,
+    duplicates: getDuplicates(bundles, frameworkName)
+  };
+}
+
+/**
+ * The page used to show an analysis as a treemap.  The analysis is inserted in place of the __ANALYSIS__ marker.
+ *
+ * @ignore
+ */
+const htmlTemplate = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Bundle Analysis</title>
+<style>
+  body { font-family: sans-serif; margin: 0; color: #222; }
+  h1, h2 { font-size: 18px; margin: 16px; }
+  #map { position: relative; height: 70vh; margin: 0 16px; }
+  .node { position: absolute; box-sizing: border-box; overflow: hidden; border: 1px solid #fff;
+          font-size: 11px; padding: 2px; }
+  .bundle { background: #dde6f0; font-weight: bold; }
+  .module { background: #9fc1e4; font-weight: normal; }
+  .module.duplicate { background: #f0a58f; }
+  table { border-collapse: collapse; margin: 0 16px 16px; font-size: 13px; }
+  td, th { border-bottom: 1px solid #ddd; padding: 4px 8px; text-align: left; }
+</style>
+</head>
+<body>
+<h1>Bundle Analysis</h1>
+<div id="map"></div>
+<h2>Duplicated Modules</h2>
+<table id="duplicates"><tr><th>Module</th><th>Size</th><th>Bundles</th><th>Suggestion</th></tr></table>
+<script>
+(function () {
+  var analysis = __ANALYSIS__;
+  var duplicated = {};
+  analysis.duplicates.forEach(function (dup) { duplicated[dup.file] = true; });
+
+  function formatSize(bytes) {
+    return bytes < 1024 ? bytes + ' B' : (bytes / 1024).toFixed(1) + ' kB';
+  }
+
+  // lay out the items in rows along the shorter side so the rectangles stay close to square
+  function squarify(items, x, y, width, height) {
+    var total = items.reduce(function (sum, item) { return sum + item.value; }, 0);
+    var result = [];
+    var scale = (width * height) / (total || 1);
+    var rest = items.slice();
+    while (rest.length) {
+      var side = Math.min(width, height);
+      if (side <= 0) {
+        break;
+      }
+      var row = [];
+      var rowValue = 0;
+      var worst = Infinity;
+      while (rest.length) {
+        var next = rowValue + rest[0].value;
+        var length = next * scale / side;
+        var ratio = Math.max.apply(null, row.concat(rest[0]).map(function (item) {
+          var other = item.value * scale / length;
+          return Math.max(length / other, other / length);
+        }));
+        if (row.length && ratio > worst) {
+          break;
+        }
+        worst = ratio;
+        row.push(rest.shift());
+        rowValue = next;
+      }
+      var thickness = rowValue * scale / side;
+      var offset = 0;
+      row.forEach(function (item) {
+        var size = item.value * scale / thickness;
+        if (width >= height) {
+          result.push({ item: item, x: x, y: y + offset, width: thickness, height: size });
+        } else {
+          result.push({ item: item, x: x + offset, y: y, width: size, height: thickness });
+        }
+        offset += size;
+      });
+      if (width >= height) {
+        x += thickness;
+        width -= thickness;
+      } else {
+        y += thickness;
+        height -= thickness;
+      }
+    }
+    return result;
+  }
+
+  function addNode(parent, rect, className, label, title) {
+    var node = document.createElement('div');
+    node.className = 'node ' + className;
+    node.style.left = rect.x + 'px';
+    node.style.top = rect.y + 'px';
+    node.style.width = rect.width + 'px';
+    node.style.height = rect.height + 'px';
+    node.textContent = label;
+    node.title = title;
+    parent.appendChild(node);
+    return node;
+  }
+
+  var map = document.getElementById('map');
+  var bundles = analysis.bundles
+    .map(function (bundle) { return { value: bundle.size, bundle: bundle }; })
+    .filter(function (item) { return item.value > 0; })
+    .sort(function (a, b) { return b.value - a.value; });
+  squarify(bundles, 0, 0, map.clientWidth, map.clientHeight).forEach(function (bundleRect) {
+    var bundle = bundleRect.item.bundle;
+    var node = addNode(map, bundleRect, 'bundle', bundle.output,
+      bundle.output + '\\n' + formatSize(bundle.size) + (bundle.gzipSize === null ? '' : ' (' + formatSize(bundle.gzipSize) + ' gzip)'));
+    var modules = bundle.modules
+      .map(function (mod) { return { value: mod.size, mod: mod }; })
+      .filter(function (item) { return item.value > 0; });
+    squarify(modules, 0, 16, Math.max(bundleRect.width - 2, 0), Math.max(bundleRect.height - 18, 0)).forEach(function (moduleRect) {
+      var mod = moduleRect.item.mod;
+      addNode(node, moduleRect, 'module' + (duplicated[mod.file] ? ' duplicate' : ''), mod.file,
+        mod.file + '\\n' + formatSize(mod.size) + ' (' + formatSize(mod.gzipSize) + ' gzip)\\n\\n' + mod.chain.join('\\n  requires '));
+    });
+  });
+
+  var table = document.getElementById('duplicates');
+  analysis.duplicates.forEach(function (dup) {
+    var row = table.insertRow();
+    [dup.file, formatSize(dup.size), dup.bundles.join(', '), 'move to ' + dup.suggestion].forEach(function (text) {
+      row.insertCell().textContent = text;
+    });
+  });
+})();
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Create a page that shows an analysis as a treemap.  The page doesn't load any other files.
+ *
+ * @param {Object} analysis - The analysis created by the createAnalysis function.
+ * @returns {String} The html for the page.
+ */
+function formatHtml(analysis) {
+  // keep the data from closing the script element
+  const data = JSON.stringify(analysis).replace(/</g, '\\u003c');
+  return htmlTemplate.replace('__ANALYSIS__', () => data);
+}
+
+module.exports = {
+  createAnalysis,
+  formatHtml
+};
@@ -0,0 +1,218 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const builtinModules = require('module').builtinModules;
+const acorn = require('acorn-node');
+const walk = require('acorn-node/walk');
+const folders = require('./folders');
+
+/**
+ * Parse code into a syntax tree with the location of each node.  Code is parsed as an ES module first so import
+ * statements are found and then as a script for sloppy mode code.
+ *
+ * @ignore
+ * @param {String} source - The code to parse.
+ * @returns {Object} The syntax tree or null if the code couldn't be parsed.
+ */
+function parse(source) {
+  const sourceTypes = ['module', 'script'];
+  for (let i = 0; i < sourceTypes.length; i++) {
+    try {
+      return acorn.parse(source, { sourceType: sourceTypes[i], allowImportExportEverywhere: true, locations: true });
+    } catch (err) {
+      // try the next source type
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the value of a string literal or a template literal without expressions.
+ *
+ * @ignore
+ * @param {Object} node - The syntax tree node.
+ * @returns {String} The value or null if the node isn't a constant string.
+ */
+function getString(node) {
+  if (node && node.type === 'Literal' && typeof node.value === 'string') {
+    return node.value;
+  }
+  if (node && node.type === 'TemplateLiteral' && !node.expressions.length) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Find the modules required by the given code along with where they are required.  Only require calls and
+ * import statements with a constant string are found.  Code that can't be parsed, for example because it needs a
+ * transform, doesn't have any requires.
+ *
+ * @param {String} source - The code to search.
+ * @returns {Array} An object with a request, line and column property for each module that is required.
+ */
+function findRequires(source) {
+  const ast = parse(source);
+  if (!ast) {
+    return [];
+  }
+
+  const found = [];
+  const add = (node, request) => {
+    if (request !== null) {
+      found.push({ request, line: node.loc.start.line, column: node.loc.start.column + 1, start: node.start });
+    }
+  };
+  walk.simple(ast, {
+    CallExpression: node => {
+      if (node.callee.type === 'Identifier' && node.callee.name === 'require') {
+        add(node, getString(node.arguments[0]));
+      }
+    },
+    ImportDeclaration: node => add(node, getString(node.source))
+  });
+  return found
+    .sort((a, b) => a.start - b.start)
+    .map(item => ({ request: item.request, line: item.line, column: item.column }));
+}
+
+/**
+ * Check if a path is the same as or inside of a folder.
+ *
+ * @ignore
+ * @param {String} dir - The folder.
+ * @param {String} filePath - The path to check.
+ * @returns {Boolean} true if the path is inside of the folder.
+ */
+function isInside(dir, filePath) {
+  const relativePath = path.relative(dir, filePath);
+  return !relativePath.startsWith('..') && !path.isAbsolute(relativePath);
+}
+
+/**
+ * Get the name of a folder for messages.
+ *
+ * @ignore
+ * @param {String} inputDir - The folder that is being bundled.
+ * @param {String} dir - The folder to get the name of.
+ * @returns {String} The path of the folder relative to the input directory.
+ */
+function getFolderName(inputDir, dir) {
+  return path.relative(inputDir, dir).replace(/\\/g, '/') || 'the input directory';
+}
+
+/**
+ * Check the requires in a file against the folder hierarchy.  Code may only depend on code in its own bundle,
+ * in the folders above it, in the framework folder, or on npm packages declared in a package.js file above it.
+ *
+ * @ignore
+ * @param {TreeNode} fileNode - The file to check.
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Array} The violations found in the file.
+ */
+function checkFile(fileNode, input) {
+  const file = fileNode.path;
+  const bundleNode = folders.getNodeForBundle(fileNode, input);
+  const bundleDir = bundleNode.path;
+  const frameworkDir = path.join(input.inputDir, input.frameworkName);
+  const isFramework = (bundleNode.getPathFromRoot() === input.frameworkName);
+
+  // app and framework bundles include the folders below them while lib bundles only include their own files
+  const packageFile = bundleNode.getChildByPath('package.js');
+  const ownsSubfolders = isFramework ||
+    bundleNode.getChildrenByPattern(input.appsPattern).length > 0 ||
+    Boolean(packageFile && folders.readInPackage(packageFile).app);
+
+  let declared = null;
+  const violations = [];
+  findRequires(fs.readFileSync(file, 'utf8')).forEach(item => {
+    const violation = { file, line: item.line, column: item.column, request: item.request, bundle: bundleNode.getPathFromRoot() };
+
+    if (/^[.\/]/.test(item.request)) {
+      let resolved = null;
+      try {
+        resolved = require.resolve(path.resolve(path.dirname(file), item.request));
+      } catch (err) {
+        // browserify will report modules that can't be found
+        return;
+      }
+      const resolvedDir = path.dirname(resolved);
+      if (!isInside(input.inputDir, resolved) ||
+          isInside(frameworkDir, resolved) ||
+          (ownsSubfolders ? isInside(bundleDir, resolved) : resolvedDir === bundleDir) ||
+          isInside(resolvedDir, bundleDir)) {
+        return;
+      }
+
+      violation.resolved = resolved;
+      if (isInside(bundleDir, resolved)) {
+        violation.kind = 'downward';
+        violation.message = 'requires ' + item.request + ' from ' + getFolderName(input.inputDir, resolvedDir) +
+          ' which is below ' + getFolderName(input.inputDir, bundleDir) + '.';
+      } else {
+        violation.kind = 'sibling';
+        violation.message = 'requires ' + item.request + ' from ' + getFolderName(input.inputDir, resolvedDir) +
+          ' which isn\'t above ' + getFolderName(input.inputDir, bundleDir) + '.';
+      }
+      violations.push(violation);
+    } else {
+      if (builtinModules.indexOf(item.request.split('/')[0]) !== -1) {
+        return;
+      }
+      try {
+        require.resolve(item.request, { paths: [path.dirname(file)] });
+      } catch (err) {
+        return;
+      }
+      declared = declared || folders.getParentPackageRequires(bundleNode, true, input.frameworkName);
+      if (declared.indexOf(item.request) === -1) {
+        violation.kind = 'undeclared';
+        violation.message = 'requires the npm module ' + item.request + ' which isn\'t declared in a package.js file above ' +
+          getFolderName(input.inputDir, bundleDir) + ' so it\'s included in the bundle.';
+        violations.push(violation);
+      }
+    }
+  });
+  return violations;
+}
+
+/**
+ * Check every file in the tree against the folder hierarchy.
+ *
+ * @param {TreeNode} tree - The tree of the input directory.
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Array} The violations.  Each one has a file, line, column, request, bundle, kind and message property.
+ *                  The kind is either sibling, downward or undeclared.
+ */
+function checkBoundaries(tree, input) {
+  let violations = [];
+  tree.forEachFile(fileNode => {
+    if (path.basename(fileNode.path) !== 'package.js') {
+      violations = violations.concat(checkFile(fileNode, input));
+    }
+  }, { recurse: true });
+  return violations.sort((a, b) => {
+    if (a.file === b.file) {
+      return a.line - b.line;
+    }
+    return a.file < b.file ? -1 : 1;
+  });
+}
+
+/**
+ * Format a violation so it can be written to the console.
+ *
+ * @param {Object} violation - The violation.
+ * @returns {String} The file and line of the violation followed by its message.
+ */
+function formatViolation(violation) {
+  const file = path.relative(process.cwd(), violation.file).replace(/\\/g, '/');
+  return file + ':' + violation.line + ':' + violation.column + ' ' + violation.message;
+}
+
+module.exports = {
+  findRequires,
+  checkBoundaries,
+  formatViolation
+};
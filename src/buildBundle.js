@@ -1,5 +1,3 @@
-#!/usr/bin/env node
-
 /**
  * Does bundling.
  *
@@ -8,22 +6,103 @@
 'use strict';
 
 const path = require('path');
+const os = require('os');
 const zlib = require('zlib');
 const fs = require('fs');
+const crypto = require('crypto');
+const stream = require('stream');
 const del = require('del');
+const mkdirp = require('mkdirp');
 const chokidar = require('chokidar');
 const browserify = require('browserify');
 const minifyify = require('minifyify');
+const terser = require('terser');
+const convertSourceMap = require('convert-source-map');
+const envify = require('envify/custom');
 const fto = require('file-tree-object');
+const minimatch = require('minimatch');
 const Debouncer = require('./debouncer');
+const folders = require('./folders');
+const chunks = require('./chunks');
+const BundlerCache = require('./bundlerCache');
+const Manifest = require('./manifest');
+const config = require('./config');
+const sizeReport = require('./sizeReport');
+const analyzer = require('./analyzer');
+const boundaries = require('./boundaries');
+const DevServer = require('./devServer');
+const retention = require('./retention');
+const errorReport = require('./errorReport');
+const Scheduler = require('./scheduler');
+const WorkerPool = require('./workerPool');
+const BuildCache = require('./buildCache');
+const toolVersion = require('../package.json').version;
+
+const hashLength = 8;
+
+const compressors = {
+  gzip: {
+    levels: [-1, 9],
+    compress: (buf, level, cb) => zlib.gzip(buf, { level }, cb)
+  },
+  br: {
+    levels: [0, 11],
+    compress: (buf, level, cb) => zlib.brotliCompress(buf, { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }, cb)
+  }
+};
+
+/**
+ * Escape the given text so it can be used within a regular expression.
+ *
+ * @ignore
+ * @param {String} text - The text to escape.
+ * @returns {String} The escaped text.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+}
 
-const argsv = require('minimist')(process.argv.slice(2));
+/**
+ * Check if there is a function anywhere in a value.  Functions can't be sent to worker processes.
+ *
+ * @ignore
+ * @param {*} value - The value to check.
+ * @returns {Boolean} true if the value is a function or has a function in it.
+ */
+function hasFunction(value) {
+  if (typeof value === 'function') {
+    return true;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).some(key => hasFunction(value[key]));
+  }
+  return false;
+}
 
-const appsPattern = /\.app\.js$/;
-const appsOrPackagePattern = /(\.app\.js$)|([\\\/]package\.js$)/;
-const frameworkPattern = /^framework[\\\/]/;
+/**
+ * Get the options used to create trees of code files.  Files that match the ignore globs are left out.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Object} The tree options.
+ */
+function getTreeOptions(input) {
+  return {
+    filePattern: /\.js$/,
+    pattern: { test: filePath => !input.isIgnored(filePath) }
+  };
+}
 
-const debouncer = new Debouncer();
+/**
+ * Create a tree of the code files in the input directory.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Promise} A promise that resolves with the tree.
+ */
+function createTree(input) {
+  return fto.createTree(input.inputDir, getTreeOptions(input));
+}
 
 /**
  * Create the path for an exposed module.
@@ -51,546 +130,1884 @@ function toPath(file) {
 }
 
 /**
- * Read in a package object.
+ * Insert a hash into the given bundle file name.  For example bundle.js becomes bundle.3f9a1c2b.js.
  *
  * @ignore
- * @param {String|TreeNode} file - The file to read in the package from.
- * @returns {Package} The package object that was read in.
+ * @param {String} fileName - The file name to insert the hash into.
+ * @param {String} hash - The hash to insert.
+ * @returns {String} The file name with the hash.
  */
-function readInPackage(file) {
-  let pack = null;
-  if (file.path) {
-    pack = require(file.path);
-  } else {
-    pack = require(file);
-  }
-
-  return pack.default || pack;
+function hashFileName(fileName, hash) {
+  return fileName.replace(/\.js$/, '.' + hash.slice(0, hashLength) + '.js');
 }
 
 /**
- * Get all of the require values found in packages that are the parent of the given folder.
+ * Emit an event for the build when there is something listening for events.
  *
  * @ignore
- * @param {TreeNode} dir - The folder to get parent require values for.
- * @param {Boolean} includeDir - If set to true then any package in the dir folder will be included.
- * @returns {Array} An array of the require values.
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {String} name - The name of the event.
+ * @param {*} data - The data for the event.
+ * @returns {void}
  */
-function getParentPackageRequires(dir, includeDir) {
-  const result = [];
-  const addToResult = function (packModule) { result.push(packModule.require); };
-  let frameworkFlag = false;
-
-  // traverse up the tree
-  let parent = includeDir ? dir : dir.parent;
-  while (parent) {
-    if (parent.getPathFromRoot() === 'framework') {
-      frameworkFlag = true;
-    }
-    const parentPack = parent.getChildByPath('package.js');
-    if (parentPack) {
-      const parentPackInfo = readInPackage(parentPack);
-      if (parentPackInfo.modules) {
-        parentPackInfo.modules.forEach(addToResult);
-      }
-    }
-    parent = parent.parent;
-  }
-
-  // exlude packages found in the framework
-  if (!frameworkFlag && dir.getPathFromRoot() !== 'framework') {
-    const frameworkDir = dir.getRoot().getChildByPath('framework');
-    if (frameworkDir) {
-      const pack = frameworkDir.getChildByPath('package.js');
-      if (pack) {
-        const packData = readInPackage(pack);
-        if (packData.modules) {
-          packData.modules.forEach(addToResult);
-        }
-      }
-    }
+function emitEvent(input, name, data) {
+  if (input.events) {
+    input.events.emit(name, data);
   }
-
-  return result;
 }
 
 /**
- * Bundle the given directory into an app.
+ * Emit a warning event for a problem that doesn't fail the build.
  *
  * @ignore
- * @param {TreeNode} dir - The directory to bundle into an app.
- * @param {Object} opts - The options.
- * @param {Function} cb - The callback function to execute when complete.
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {String} type - The kind of warning.  Either boundary, duplicate, retention or cache.
+ * @param {String} message - The description of the problem.
  * @returns {void}
  */
-function bundleApp(dir, opts, cb) {
-  const done = cb || function () {};
-  const outputPath = path.join(opts.input.appsOutputDir, dir.getPathFromRoot());
-  let apps = null;
-  let libs = null;
-  const externals = [];
-  const addToExternals = function (file) { externals.push(file); };
+function emitWarning(input, type, message) {
+  emitEvent(input, 'warning', { type, message });
+}
 
-  if (dir === opts.framework.dir) {
-    // if this is the framework folder collect all files underneath it
-    apps = opts.framework.apps;
-    libs = opts.framework.libs;
-  } else if (frameworkPattern.test(dir.getPathFromRoot())) {
-    // bail if we are in a folder under the framework
-    done();
-    return;
+/**
+ * Report an error that occured while watching for changes.  The error is emitted when something is listening
+ * for errors, otherwise it's written to the console.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Error} err - The error.
+ * @returns {void}
+ */
+function reportWatchError(input, err) {
+  if (input.events && input.events.listenerCount('error')) {
+    input.events.emit('error', err);
+  } else if (err.failures) {
+    console.error(errorReport.formatText(err.failures));
   } else {
-    // collect just the files in this folder
-    apps = dir.getFilesByPattern(appsPattern);
-    libs = dir.getFilesByPattern(appsOrPackagePattern, { negate: true });
-    Array.prototype.push.apply(externals, opts.framework.libs);
-  }
-
-  // check for any apps defined in a package.js file
-  const packageFile = dir.getByPath('package.js');
-  if (packageFile) {
-    let packageData = require(packageFile.path);
-    if (packageData.default) {
-      packageData = packageData.default;
-    }
-    if (packageData.app) {
-      const appPaths = Array.isArray(packageData.app) ? packageData.app : [packageData.app];
-      appPaths.forEach(function (appPath) {
-        apps.push({
-          path: path.resolve(dir.path, appPath)
-        });
-      });
-    }
+    console.error('Bundle Error: ' + err);
   }
+}
 
-  // collect list of files to exclude
-  let parent = dir.parent;
-  while (parent) {
-    // bail if a parent app is found
-    if (parent.getFilesByPattern(appsPattern).length > 0) {
-      done();
+/**
+ * Emit the bundle-start event for a bundle and get a callback that emits the bundle-end event once the bundle
+ * has been written.
+ *
+ * @ignore
+ * @param {Object} opts - The options.
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {TreeNode} dir - The folder that is being bundled.
+ * @param {String} filePath - The path the bundle will be written to.
+ * @param {Function} cb - The callback to wrap.  It will be passed an error if one occured and the manifest entry.
+ * @returns {Function} The callback to call once the bundle has been written.
+ */
+function trackBundle(opts, kind, dir, filePath, cb) {
+  const started = Date.now();
+  const info = { kind, source: dir.getPathFromRoot(), target: opts.input.target, path: filePath };
+  emitEvent(opts.input, 'bundle-start', info);
+  return (err, entry) => {
+    if (err) {
+      cb(errorReport.createBundleError(err, info));
       return;
     }
-    const parentPackageFile = parent.getByPath('package.js');
-    if (parentPackageFile) {
-      let parentPackageData = require(parentPackageFile.path);
-      if (parentPackageData.default) parentPackageData = parentPackageData.default;
-      if (parentPackageData.app) {
-        done();
-        return;
-      }
+    if (entry) {
+      emitEvent(opts.input, 'bundle-end', Object.assign({}, info, {
+        path: path.join(opts.input.outputDir, entry.output),
+        sizes: { raw: entry.rawSize, minified: entry.size, gzip: entry.gzipSize, br: entry.brSize },
+        duration: Date.now() - started
+      }));
     }
-    // collect list of files
-    parent.files.forEach(addToExternals);
-    parent = parent.parent;
-  }
-
-  // don't bundle if there aren't any files
-  if (!apps.length && !libs.length) {
-    done();
-    return;
-  }
-
-  // configure the bundler
-  const bundler = browserify({
-    debug: true,
-    builtins: false,
-    detectGlobals: false
-  });
-  bundler.plugin(minifyify, {
-    map: 'bundle.js.map',
-    output: path.join(outputPath, 'bundle.js.map')
-  });
-
-  // excluded files and packages
-  bundler.external(externals.map(toPath));
-  bundler.external(getParentPackageRequires(dir, true));
-
-  if (apps.length > 0) {
-    // entry point modules
-    bundler.add(apps.map(toPath));
-  } else {
-    // exported modules
-    libs.forEach(function (file) {
-      bundler.require(file.path, { expose: exposePath(opts.input.baseOutputDir, file.getPathFromRoot()) });
-    });
-  }
+    cb(null, entry);
+  };
+}
 
-  // report a bundling error
-  const results = [];
-  const finish = err => {
-    results.push(err);
-    if (results.length === 2) {
-      done(results[0] || results[1]);
+/**
+ * Run browserify for a bundle.  Errors are passed to the callback even when the bundle is minified since minifyify
+ * only forwards them to the stream it returns.
+ *
+ * @ignore
+ * @param {Browserify} bundler - The browserify instance.
+ * @param {Function} cb - Called once with an error if one occured, or the bundled code and its source map.
+ * @returns {void}
+ */
+function runBundle(bundler, cb) {
+  let called = false;
+  const done = (err, buf, map) => {
+    if (!called) {
+      called = true;
+      cb(err, buf, map);
     }
   };
+  const output = bundler.bundle(done);
+  if (output) {
+    output.on('error', done);
+  }
+}
 
-  // bundle
-  bundler.bundle((bundleError, buf) => {
-    if (bundleError) {
-      done(bundleError);
-    } else {
-      // create output
-      fs.writeFile(path.join(outputPath, 'bundle.js'), buf, finish);
-      // create compressed output
-      zlib.gzip(buf, (zipError, zipBuf) => {
-        if (zipError) {
-          finish(zipError);
-        } else {
-          fs.writeFile(path.join(outputPath, 'bundle.js.gz'), zipBuf, finish);
-        }
-      });
-    }
-  });
+/**
+ * Minify a module bundle.  Uglify only parses ES5 so module bundles, which are loaded by browsers that support
+ * modern syntax, are minified with terser once they have been bundled instead of by minifyify.  The source map that
+ * browserify inlines in the bundle is carried through to a separate source map file.
+ *
+ * @ignore
+ * @param {Buffer} buf - The bundled code with an inline source map.
+ * @param {String} bundleName - The file name of the bundle.
+ * @param {Function} cb - Called once with an error if one occured, or the minified code and its source map.
+ * @returns {void}
+ */
+function minifyModule(buf, bundleName, cb) {
+  const code = buf.toString();
+  const inputMap = convertSourceMap.fromSource(code);
+  terser.minify(convertSourceMap.removeComments(code), {
+    module: true,
+    sourceMap: { content: inputMap ? inputMap.toObject() : undefined, url: bundleName + '.map' }
+  }).then(result => cb(null, Buffer.from(result.code), result.map), err => cb(err));
 }
 
 /**
- * Bundle the given directory into a package.
+ * Write a bundle along with its source map and compressed copies of it to disk.
+ * When the hash option is set the hash of the bundle content is included in the file names.
  *
  * @ignore
- * @param {TreeNode} dir - The directory to bundle into a package.
+ * @param {Buffer} buf - The bundled code.
+ * @param {String} map - The source map for the bundled code.
+ * @param {String} filePath - The path to write the bundle to.
+ * @param {Object} entry - The manifest entry for the bundle.  The output, size, hash, integrity and encoding properties will be set.
  * @param {Object} opts - The options.
- * @param {Function} cb - The callback function to execute when complete.
+ * @param {Function} cb - The callback function to execute when complete.  It will be passed the entry.
  * @returns {void}
  */
-function bundlePackage(dir, opts, cb) {
+function writeBundle(buf, map, filePath, entry, opts, cb) {
   const done = cb || function () {};
-  const outputPath = path.join(opts.input.packagesOutputDir, dir.getPathFromRoot());
+  const result = entry;
+  const hash = crypto.createHash('sha256').update(buf).digest('hex');
+  let content = buf;
+  let outputFile = filePath;
 
-  // read in package info
-  const pack = dir.getChildByPath('package.js');
-  if (!pack) {
-    done();
-    return;
-  }
-  const packData = readInPackage(pack);
-  if (!packData.modules || !packData.modules.length) {
-    done();
-    return;
+  // point the bundle at the hashed source map
+  if (opts.input.hash) {
+    const fileName = path.basename(filePath);
+    outputFile = path.join(path.dirname(filePath), hashFileName(fileName, hash));
+    content = Buffer.from(buf.toString().replace(
+      '//# sourceMappingURL=' + fileName + '.map',
+      '//# sourceMappingURL=' + path.basename(outputFile) + '.map'));
   }
-  const bundleName = 'bundle' + (packData.version ? '-' + packData.version : '') + '.js';
 
-  // configure the bundler
-  const bundler = browserify({ debug: true, builtins: false, detectGlobals: false });
-  bundler.plugin(minifyify, {
-    map: bundleName + '.map',
-    output: path.join(outputPath, bundleName + '.map')
-  });
-
-  // exclude parent packages
-  bundler.external(getParentPackageRequires(dir));
-
-  // add packages
-  packData.modules.forEach(function (packModule) {
-    bundler.require(packModule.require);
-    if (packModule.init) {
-      bundler.add(require.resolve(packModule.init));
-    }
-  });
+  result.output = Manifest.getOutputPath(opts.input.outputDir, outputFile);
+  result.size = content.length;
+  result.hash = hash;
+  result.integrity = Manifest.getIntegrity(content, opts.input.integrity);
+  result.encodings = opts.input.compress.slice();
 
   // report a bundling error
   const results = [];
+  const expected = 1 + (map ? 1 : 0) + opts.input.compress.length;
   const finish = err => {
     results.push(err);
-    if (results.length === 2) {
-      done(results[0] || results[1]);
+    if (results.length === expected) {
+      const error = results.find(value => value);
+      if (error) {
+        done(error);
+      } else {
+        done(null, result);
+      }
     }
   };
 
-  // bundle
-  bundler.bundle((bundleError, buf) => {
-    if (bundleError) {
-      done(bundleError);
-    } else {
-      // create output
-      fs.writeFile(path.join(outputPath, bundleName), buf, finish);
-      // create compressed output
-      zlib.gzip(buf, (zipError, zipBuf) => {
+  mkdirp(path.dirname(outputFile), dirError => {
+    if (dirError) {
+      done(dirError);
+      return;
+    }
+    // create output
+    fs.writeFile(outputFile, content, finish);
+    // create source map
+    if (map) {
+      fs.writeFile(outputFile + '.map', map, finish);
+    }
+    // create compressed output
+    opts.input.compress.forEach(encoding => {
+      compressors[encoding].compress(content, opts.input.compressLevels[encoding], (zipError, zipBuf) => {
         if (zipError) {
           finish(zipError);
         } else {
-          fs.writeFile(path.join(outputPath, bundleName + '.gz'), zipBuf, finish);
+          result[encoding + 'Size'] = zipBuf.length;
+          result[encoding + 'Integrity'] = Manifest.getIntegrity(zipBuf, opts.input.integrity);
+          fs.writeFile(outputFile + Manifest.encodingExtensions[encoding], zipBuf, finish);
         }
       });
-    }
+    });
   });
 }
 
 /**
- * Bundle either apps or packages.
+ * Get the transforms or plugins that apply to the given kind of bundle.
  *
  * @ignore
- * @param {Function} fn - The bundle function to execute.  Either bundleApps or bundlePackages.
- * @param {TreeNode} tree - The tree to bundle.
- * @param {Object} opts - Options to pass to the bundle functions.
- * @param {Function} cb - The call back function to execute when done.
- * @returns {void}
+ * @param {Array|Object} hooks - Either an array of transforms or plugins that apply to all kinds of bundles or an object
+ *                               with an all property, a property for each kind of bundle and a property for each output format.
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {String} target - The output format being built.  Either legacy or module.
+ * @returns {Array} The transforms or plugins.
  */
-function bundleStart(fn, tree, opts, cb) {
-  const done = cb || function () {};
-
-  // determine the number of directories that will be processed
-  let pending = 0;
-  tree.forEachDirectory(function () { pending ++; }, { recurse: opts.recurse });
-  if (!pending) {
-    done();
-    return;
+function getHooksForKind(hooks, kind, target) {
+  if (!hooks) {
+    return [];
   }
-
-  // define the function that is called after each app is bundled
-  const bundleDone = function (err) {
-    if (err) {
-      done(err);
-      return;
-    }
-    if (!--pending) {
-      done();
-    }
-  };
-
-  // collect framework fies as they will be used repeatedly
-  const fwk = {
-    apps: [],
-    libs: [],
-    dir: tree.getRoot().getChildByPath('framework') || fto.createTreeSync(opts.input.frameworkDir, { ignoreError: true })
-  };
-  if (fwk.dir) {
-    fwk.dir.forEachDirectory(function (folder) {
-      Array.prototype.push.apply(fwk.apps, folder.getFilesByPattern(appsPattern));
-      Array.prototype.push.apply(fwk.libs, folder.getFilesByPattern(appsOrPackagePattern, { negate: true }));
-    }, { recurse: true });
+  if (Array.isArray(hooks)) {
+    return hooks;
   }
-
-  // enumerate through each directory and kick off bundle function
-  tree.forEachDirectory(function (dir) {
-    fn(dir, { input: opts.input, framework: fwk }, bundleDone);
-  }, { recurse: opts.recurse });
+  return [].concat(hooks.all || [], hooks[kind] || [], hooks[target] || []);
 }
 
 /**
- * Determine the folder that should be bundled for the given tree node.
+ * Register a transform or plugin with a browserify instance.
  *
  * @ignore
- * @param {TreeNode} treeNode - The tree node to check.
- * @return {String} The tree node that should be bundled.
+ * @param {Browserify} bundler - The browserify instance.
+ * @param {String} method - The type of hook to register.  Either transform or plugin.
+ * @param {String|Function|Array} hook - The name of a module, a function, or an array with the name or function
+ *                                       followed by the options for it.
+ * @param {String} basedir - The folder module names are resolved from.
+ * @returns {void}
  */
-function getNodeForBundle(treeNode) {
-  // any framework files should be bundled with the framework folder
-  if (treeNode.getPathFromRoot().indexOf(path.normalize('framework/')) === 0) {
-    return treeNode.getRoot().getChildByPath('framework');
+function registerHook(bundler, method, hook, basedir) {
+  const item = Array.isArray(hook) ? hook : [hook];
+  let fn = item[0];
+  if (typeof fn === 'string') {
+    fn = require(require.resolve(fn, { paths: [basedir] }));
   }
+  bundler[method](fn, item[1] || {});
+}
 
-  // any files that fall under an app folder should be bundled with the app
-  let currentNode = treeNode;
-  while (currentNode) {
-    if (currentNode.getChildrenByPattern(appsPattern).length > 0) {
-      return currentNode;
-    }
-
-    const packageNode = currentNode.getChildByPath('package.js');
-    if (packageNode) {
-      const packageInfo = require(packageNode.path);
-      if (packageInfo.app) {
-        return currentNode;
-      }
+/**
+ * Get the transforms declared by the package.js files in the given folder and the folders above it.
+ * Transforms declared higher up the tree come first.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The folder to get the transforms for.
+ * @returns {Array} Objects with a hook property for the transform and a basedir property for the folder of the package.js file.
+ */
+function getPackageTransforms(dir) {
+  const result = [];
+  let current = dir;
+  while (current) {
+    const pack = current.getChildByPath('package.js');
+    if (pack) {
+      const packData = folders.readInPackage(pack);
+      const basedir = path.dirname(pack.path);
+      result.unshift.apply(result, (packData.transforms || []).map(hook => ({ hook, basedir })));
     }
-
-    currentNode = currentNode.parent;
+    current = current.parent;
   }
-
-  // default to a lib folder
-  return treeNode.isDirectory ? treeNode : treeNode.parent;
+  return result;
 }
 
 /**
- * Respond to a change event.
+ * Record the size of the code in a bundle before it's minified on the rawSize property of the bundler.  This is
+ * the total size of the modules in the bundle so it must be registered before the minifier.
  *
  * @ignore
- * @param {Object} input - The input generated from the bundle function.
- * @param {String} file - The file that was changed.
- * @param {String} event - The type of change that occured.
- * @param {Function} [cb] - Called when this function is done.  It will be passed an error if one occured.
+ * @param {Browserify} bundler - The browserify instance to measure.
  * @returns {void}
  */
-function bundleChanged(input, file, event, cb) {
-  const done = cb || function () {};
-
-  // ignore files that begin with a dot
-  if (path.basename(file)[0] === '.') {
-    return;
-  }
-
-  // create tree of directories
-  fto.createTree(input.inputDir, { filePattern: /\.js$/ })
-    .then(function (tree) {
-      // get the tree node
-      const treeNode = tree.getByPath(event === 'unlink' ? path.dirname(file) : file);
-      if (!treeNode) {
-        throw new Error('Could not find node in tree.');
-      }
-
-      // bundle
-      const bundleNode = getNodeForBundle(treeNode);
-      debouncer.run(bundleNode.path, () => {
-        fto.createTree(input.inputDir, { filePattern: /\.js$/ })
-          .then(currentTree => {
-            const currentBundleNode = currentTree.getByPath(bundleNode.path);
-            if (currentBundleNode) {
-              bundleStart(bundleApp, currentBundleNode, { input, recurse: false }, done);
-            }
-          });
-      });
-    })
-    .catch(function (err) {
-      done(err);
+function measureBundle(bundler) {
+  // the sizes are kept between builds as modules from the cache aren't transformed again, modules that are
+  // required by name aren't cached so they are always counted from the files read during the build
+  const sizes = {};
+  let read = {};
+  bundler.transform(file => {
+    let size = 0;
+    read[file] = true;
+    return new stream.Transform({
+      transform(chunk, encoding, next) {
+        size += Buffer.byteLength(chunk);
+        next(null, chunk);
+      },
+      flush(next) {
+        sizes[file] = size;
+        next();
+      }
     });
+  }, { global: true });
+
+  const measure = () => {
+    const included = {};
+    read = {};
+    bundler.pipeline.get('deps').push(new stream.Transform({
+      objectMode: true,
+      transform(row, encoding, next) {
+        if (typeof sizes[row.file] === 'number') {
+          included[row.file] = true;
+        }
+        next(null, row);
+      },
+      flush(next) {
+        bundler.rawSize = Object.keys(Object.assign(included, read))
+          .reduce((total, file) => total + (sizes[file] || 0), 0);
+        next();
+      }
+    }));
+  };
+  bundler.on('reset', measure);
+  measure();
 }
 
 /**
- * Watch for changes to files that will cause a bundle to be created.
+ * Record the npm packages that are included in a bundle on the packages property of the bundler.
  *
  * @ignore
- * @param {Object} input - The input for the function that was generated by the bundle function.
- * @return {void}
+ * @param {Browserify} bundler - The browserify instance to record packages for.
+ * @returns {void}
  */
-function bundleWatch(input) {
-  const done = function (err) {
-    if (err) {
-      console.error('Bundle Error: ' + err);
+function recordPackages(bundler) {
+  bundler.packages = {};
+  bundler.on('package', pkg => {
+    if (pkg.name && pkg.version && /[\\\/]node_modules[\\\/]/.test(pkg.__dirname || '')) {
+      bundler.packages[pkg.name + '@' + pkg.version] = true;
+    }
+  });
+}
+
+/**
+ * Get the npm packages that were included in a bundle.
+ *
+ * @ignore
+ * @param {Browserify} bundler - The browserify instance that created the bundle.
+ * @returns {Array} The name and version of each package such as react@16.8.0 or undefined if there aren't any.
+ */
+function getPackages(bundler) {
+  const packages = Object.keys(bundler.packages || {}).sort();
+  return packages.length ? packages : undefined;
+}
+
+/**
+ * Record the modules in a bundle on the modules property of the bundler.  The size of each module is the size of
+ * its code in the bundle so it's minified in production mode, except for module bundles which are minified as a whole.
+ *
+ * @ignore
+ * @param {Browserify} bundler - The browserify instance to record modules for.
+ * @returns {void}
+ */
+function recordModules(bundler) {
+  const record = () => {
+    const modules = [];
+    bundler.pipeline.get('deps').push(new stream.Transform({
+      objectMode: true,
+      transform(row, encoding, next) {
+        const source = Buffer.from(row.source);
+        modules.push({
+          file: row.file,
+          entry: Boolean(row.entry || row.expose),
+          deps: Object.assign({}, row.deps),
+          size: source.length,
+          gzipSize: zlib.gzipSync(source).length
+        });
+        next(null, row);
+      },
+      flush(next) {
+        bundler.modules = modules;
+        next();
+      }
+    }));
+  };
+  bundler.on('reset', record);
+  record();
+}
+
+/**
+ * Record the paths of the files that are read for a bundle on the files property of the bundler.
+ *
+ * @ignore
+ * @param {Browserify} bundler - The browserify instance to record files for.
+ * @returns {void}
+ */
+function recordFiles(bundler) {
+  const record = () => {
+    const files = [];
+    bundler.pipeline.get('deps').push(new stream.Transform({
+      objectMode: true,
+      transform(row, encoding, next) {
+        if (row.file && path.isAbsolute(row.file)) {
+          files.push(row.file);
+        }
+        next(null, row);
+      },
+      flush(next) {
+        bundler.files = files;
+        next();
+      }
+    }));
+  };
+  bundler.on('reset', record);
+  record();
+}
+
+/**
+ * Create a browserify instance configured for the build mode.  In production mode the bundle is minified
+ * and its source map is written to a separate file while in development mode the source map is inlined.
+ * Module bundles are minified once they have been bundled rather than by the browserify instance.
+ * The transforms and plugins from the options and package.js files are registered before the built in ones.
+ *
+ * @ignore
+ * @param {String} bundleName - The file name of the bundle.
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {TreeNode} dir - The folder that is being bundled.
+ * @param {Object} opts - The options.
+ * @param {Object} [browserifyOpts] - Additional options to pass to browserify such as module caches.
+ * @returns {Browserify} The browserify instance.
+ */
+function createBundler(bundleName, kind, dir, opts, browserifyOpts) {
+  const bundler = browserify(Object.assign({
+    debug: true,
+    builtins: false,
+    detectGlobals: false,
+    // module scripts are strict so the require function shared between bundles is set on the global object
+    externalRequireName: (opts.input.target === 'module') ? 'self.require' : 'require'
+  }, browserifyOpts));
+
+  getHooksForKind(opts.input.transforms, kind, opts.input.target).forEach(hook => {
+    registerHook(bundler, 'transform', hook, process.cwd());
+  });
+  getPackageTransforms(dir).forEach(transform => {
+    registerHook(bundler, 'transform', transform.hook, transform.basedir);
+  });
+  getHooksForKind(opts.input.plugins, kind, opts.input.target).forEach(hook => {
+    registerHook(bundler, 'plugin', hook, process.cwd());
+  });
+
+  if (opts.input.nodeEnv) {
+    bundler.transform(envify({ NODE_ENV: opts.input.mode }), { global: true });
+  }
+  measureBundle(bundler);
+  recordPackages(bundler);
+  if (opts.input.analyze) {
+    recordModules(bundler);
+  }
+  if (opts.input.cache) {
+    recordFiles(bundler);
+  }
+  if (opts.input.mode === 'production' && opts.input.target !== 'module') {
+    bundler.plugin(minifyify, { map: bundleName + '.map' });
+  }
+
+  return bundler;
+}
+
+/**
+ * Get a browserify instance for a bundle.  While watching for changes the instance from the last build is
+ * reused when its configuration is the same, otherwise a new instance is created every time.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the bundle file.
+ * @param {Object} signature - The values the configuration of the bundle is based on.
+ * @param {Object} opts - The options.
+ * @param {Function} create - Creates a new configured browserify instance.  It will be passed additional options for browserify.
+ * @returns {Browserify} The browserify instance.
+ */
+function getBundler(filePath, signature, opts, create) {
+  if (opts.bundlers) {
+    return opts.bundlers.get(filePath, JSON.stringify(signature), create);
+  }
+  return create({});
+}
+
+/**
+ * Get the key for a bundle in the build cache.  The key is made from everything other than the content of the
+ * files that are bundled that changes the code browserify creates.  The bundle is identified by its source folder
+ * and file name rather than its output path so a bundle built for a new version is still found.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the bundle file.
+ * @param {Object} signature - The values the configuration of the bundle is based on.
+ * @param {TreeNode} dir - The folder that is being bundled.
+ * @param {Object} opts - The options.
+ * @returns {String} The key.
+ */
+function getCacheKey(filePath, signature, dir, opts) {
+  const input = opts.input;
+
+  // the package.js files above the bundle declare the packages it leaves out and the transforms it uses
+  const packageFiles = [];
+  let current = dir;
+  while (current) {
+    const pack = current.getChildByPath('package.js');
+    if (pack) {
+      packageFiles.push([pack.path, input.cache.hashFile(pack.path)]);
+    }
+    current = current.parent;
+  }
+  const frameworkPackage = path.join(input.frameworkDir, 'package.js');
+  packageFiles.push([frameworkPackage, input.cache.hashFile(frameworkPackage)]);
+
+  return input.cache.getKey([
+    toolVersion,
+    dir.getPathFromRoot(),
+    path.basename(filePath),
+    signature,
+    packageFiles,
+    input.target,
+    input.mode,
+    input.nodeEnv,
+    input.analyze,
+    input.baseOutputDir,
+    input.transforms,
+    input.plugins
+  ]);
+}
+
+/**
+ * Build the code for a bundle.  When there is a build cache the code is restored from it if none of the files
+ * the bundle was built from have changed, otherwise it's added to the cache once it has been built.  The cache
+ * isn't used while watching for changes as the browserify instances keep their own caches.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the bundle file.
+ * @param {Object} signature - The values the configuration of the bundle is based on.
+ * @param {TreeNode} dir - The folder that is being bundled.
+ * @param {Object} opts - The options.
+ * @param {Function} create - Creates a new configured browserify instance.  It will be passed additional options for browserify.
+ * @param {Function} cb - Called when complete.  It will be passed an error if one occured and an object with the buf, map,
+ *                        rawSize, packages and modules of the bundle.
+ * @returns {void}
+ */
+function compileBundle(filePath, signature, dir, opts, create, cb) {
+  const cache = opts.bundlers ? null : opts.input.cache;
+  let key = null;
+  let bundler = null;
+  try {
+    if (cache) {
+      key = getCacheKey(filePath, signature, dir, opts);
+      const cached = cache.get(key);
+      if (cached) {
+        cb(null, cached);
+        return;
+      }
+    }
+    bundler = getBundler(filePath, signature, opts, create);
+  } catch (err) {
+    cb(err);
+    return;
+  }
+
+  const run = (opts.input.target === 'module' && opts.input.mode === 'production') ?
+    next => runBundle(bundler, (err, buf) => (err ? next(err) : minifyModule(buf, path.basename(filePath), next))) :
+    next => runBundle(bundler, next);
+  run((bundleError, buf, map) => {
+    if (bundleError) {
+      cb(bundleError);
+      return;
+    }
+    const result = { buf, map, rawSize: bundler.rawSize, packages: getPackages(bundler), modules: bundler.modules };
+    if (cache) {
+      // a bundle that can't be cached is still written
+      try {
+        cache.set(key, result, bundler.files || []);
+      } catch (err) {
+        emitWarning(opts.input, 'cache', err.message);
+      }
+    }
+    cb(null, result);
+  });
+}
+
+/**
+ * Bundle a module that is loaded on demand by an app into a chunk file in the output folder of the app.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The app folder.
+ * @param {Object} chunk - The chunk with the name, path and id to expose the module as.
+ * @param {Array} externals - The files that are bundled above the app.
+ * @param {Array} shared - The paths of the files that the app bundle exposes for its chunks.
+ * @param {Object} opts - The options.
+ * @param {Function} cb - Called when complete.  It will be passed the entry for the chunk.
+ * @returns {void}
+ */
+function bundleChunk(dir, chunk, externals, shared, opts, cb) {
+  const filePath = path.join(opts.input.appsOutputDir, dir.getPathFromRoot(), chunks.getFileName(chunk.name));
+
+  // the chunk uses the files and packages that are above the app or in the app bundle rather than including its own copies
+  const createChunkBundler = function (browserifyOpts) {
+    const chunkBundler = createBundler(path.basename(filePath), 'app', dir, opts, browserifyOpts);
+    chunkBundler.external(externals.map(toPath));
+    chunkBundler.external(shared);
+    chunkBundler.external(folders.getParentPackageRequires(dir, true, opts.input.frameworkName));
+    chunkBundler.require(chunk.path, { expose: chunk.id });
+    return chunkBundler;
+  };
+
+  const signature = ['chunk', chunk.path, externals.map(toPath), shared];
+  compileBundle(filePath, signature, dir, opts, createChunkBundler, (bundleError, compiled) => {
+    if (bundleError) {
+      cb(bundleError);
+    } else {
+      writeBundle(compiled.buf, compiled.map, filePath, { name: chunk.name, rawSize: compiled.rawSize, packages: compiled.packages }, opts, cb);
+    }
+  });
+}
+
+/**
+ * Bundle all of the chunks for an app.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The app folder.
+ * @param {Array} lazy - The chunks to bundle.
+ * @param {Array} externals - The files that are bundled above the app.
+ * @param {Array} shared - The paths of the files that the app bundle exposes for its chunks.
+ * @param {Object} opts - The options.
+ * @param {Function} cb - Called when complete.  It will be passed the entries for the chunks in the same order they were given.
+ * @returns {void}
+ */
+function bundleChunks(dir, lazy, externals, shared, opts, cb) {
+  const entries = [];
+  const errors = [];
+  let pending = lazy.length;
+  if (!pending) {
+    cb(null, entries);
+    return;
+  }
+
+  // every chunk is reported on before the app fails
+  const info = { source: dir.getPathFromRoot(), kind: 'app', target: opts.input.target };
+  lazy.forEach((chunk, index) => {
+    bundleChunk(dir, chunk, externals, shared, opts, (err, entry) => {
+      if (err) {
+        errors[index] = errorReport.createBundleError(err, info);
+      } else {
+        entries[index] = entry;
+      }
+      if (!--pending) {
+        const error = errorReport.combineErrors(errors);
+        if (error) {
+          cb(error);
+        } else {
+          cb(null, entries);
+        }
+      }
+    });
+  });
+}
+
+/**
+ * Bundle the given directory into an app.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The directory to bundle into an app.
+ * @param {Object} opts - The options.
+ * @param {Function} cb - The callback function to execute when complete.  It will be passed the manifest entry for the bundle.
+ * @returns {void}
+ */
+function bundleApp(dir, opts, cb) {
+  let done = cb || function () {};
+  const outputPath = path.join(opts.input.appsOutputDir, dir.getPathFromRoot());
+  let apps = null;
+  let libs = null;
+  const externals = [];
+  const addToExternals = function (file) { externals.push(file); };
+
+  if (dir === opts.framework.dir) {
+    // if this is the framework folder collect all files underneath it
+    apps = opts.framework.apps;
+    libs = opts.framework.libs;
+  } else if (opts.input.frameworkPattern.test(dir.getPathFromRoot())) {
+    // bail if we are in a folder under the framework
+    done();
+    return;
+  } else {
+    // collect just the files in this folder
+    apps = dir.getFilesByPattern(opts.input.appsPattern);
+    libs = dir.getFilesByPattern(opts.input.appsOrPackagePattern, { negate: true });
+    Array.prototype.push.apply(externals, opts.framework.libs);
+  }
+
+  // check for any apps defined in a package.js file
+  const packageFile = dir.getByPath('package.js');
+  if (packageFile) {
+    let packageData = require(packageFile.path);
+    if (packageData.default) {
+      packageData = packageData.default;
+    }
+    if (packageData.app) {
+      const appPaths = Array.isArray(packageData.app) ? packageData.app : [packageData.app];
+      appPaths.forEach(function (appPath) {
+        apps.push({
+          path: path.resolve(dir.path, appPath)
+        });
+      });
+    }
+  }
+
+  // collect list of files to exclude
+  let parent = dir.parent;
+  while (parent) {
+    // bail if a parent app is found
+    if (parent.getFilesByPattern(opts.input.appsPattern).length > 0) {
+      done();
+      return;
+    }
+    const parentPackageFile = parent.getByPath('package.js');
+    if (parentPackageFile) {
+      let parentPackageData = require(parentPackageFile.path);
+      if (parentPackageData.default) parentPackageData = parentPackageData.default;
+      if (parentPackageData.app) {
+        done();
+        return;
+      }
+    }
+    // collect list of files
+    parent.files.forEach(addToExternals);
+    parent = parent.parent;
+  }
+
+  // don't bundle if there aren't any files
+  if (!apps.length && !libs.length) {
+    done();
+    return;
+  }
+
+  // determine the kind of bundle
+  let kind = 'lib';
+  if (dir === opts.framework.dir) {
+    kind = 'framework';
+  } else if (apps.length > 0) {
+    kind = 'app';
+  }
+  done = trackBundle(opts, kind, dir, path.join(outputPath, 'bundle.js'), done);
+
+  // modules that are loaded on demand are exposed from chunks the same way lib files are exposed from lib bundles
+  let lazy = [];
+  let shared = [];
+  if (kind === 'app') {
+    try {
+      lazy = chunks.getLazyModules(dir);
+      shared = chunks.findSharedModules(apps.map(toPath), lazy, opts.input.inputDir, externals.map(toPath));
+    } catch (err) {
+      done(err);
+      return;
+    }
+    lazy.forEach(chunk => {
+      chunk.id = exposePath(opts.input.baseOutputDir, path.relative(opts.input.inputDir, chunk.path));
+    });
+  }
+
+  // the chunks are bundled first so the loader in the app bundle can point at their files
+  bundleChunks(dir, lazy, externals, shared, opts, (chunkError, chunkEntries) => {
+    if (chunkError) {
+      done(chunkError);
+      return;
+    }
+    const loader = chunkEntries.length ?
+      chunks.createLoader(lazy.map((chunk, index) => ({ name: chunk.name, id: chunk.id, url: path.basename(chunkEntries[index].output) })),
+                          path.relative(opts.input.outputDir, outputPath)) :
+      null;
+
+    // configure the bundler
+    const createAppBundler = function (browserifyOpts) {
+      const appBundler = createBundler('bundle.js', kind, dir, opts, browserifyOpts);
+
+      // excluded files and packages
+      appBundler.external(externals.map(toPath));
+      appBundler.external(folders.getParentPackageRequires(dir, true, opts.input.frameworkName));
+
+      // the loader runs with the bundle so it can find the url the bundle was loaded from
+      if (loader) {
+        appBundler.require({ file: require.resolve('./chunks'), source: loader }, { expose: chunks.loaderName, entry: true });
+      }
+
+      // files the chunks use from the app bundle
+      shared.forEach(file => {
+        appBundler.require(file, { expose: exposePath(opts.input.baseOutputDir, path.relative(opts.input.inputDir, file)) });
+      });
+
+      if (apps.length > 0) {
+        // entry point modules
+        appBundler.add(apps.map(toPath));
+      } else {
+        // exported modules
+        libs.forEach(function (file) {
+          appBundler.require(file.path, { expose: exposePath(opts.input.baseOutputDir, file.getPathFromRoot()) });
+        });
+      }
+      return appBundler;
+    };
+
+    const filePath = path.join(outputPath, 'bundle.js');
+    const signature = [kind, apps, libs, externals].map(files => (Array.isArray(files) ? files.map(toPath) : files)).concat(loader, [shared]);
+
+    // bundle
+    compileBundle(filePath, signature, dir, opts, createAppBundler, (bundleError, compiled) => {
+      if (bundleError) {
+        done(bundleError);
+      } else {
+        if (opts.modules) {
+          opts.modules[Manifest.getId(kind, dir.getPathFromRoot())] = compiled.modules;
+        }
+        const entry = { kind, source: dir.getPathFromRoot(), rawSize: compiled.rawSize, packages: compiled.packages };
+        if (chunkEntries.length) {
+          // packages included in the chunks are downloaded by the app too
+          const packages = chunkEntries.reduce((result, chunkEntry) => result.concat(chunkEntry.packages || []), entry.packages || []);
+          entry.packages = packages.length ? packages.filter((item, index) => packages.indexOf(item) === index).sort() : undefined;
+          entry.chunks = chunkEntries;
+        }
+        writeBundle(compiled.buf, compiled.map, filePath, entry, opts, done);
+      }
+    });
+  });
+}
+
+/**
+ * Bundle the given directory into a package.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The directory to bundle into a package.
+ * @param {Object} opts - The options.
+ * @param {Function} cb - The callback function to execute when complete.  It will be passed the manifest entry for the bundle.
+ * @returns {void}
+ */
+function bundlePackage(dir, opts, cb) {
+  const done = cb || function () {};
+  const outputPath = path.join(opts.input.packagesOutputDir, dir.getPathFromRoot());
+
+  // read in package info
+  const pack = dir.getChildByPath('package.js');
+  if (!pack) {
+    done();
+    return;
+  }
+  const packData = folders.readInPackage(pack);
+  if (!packData.modules || !packData.modules.length) {
+    done();
+    return;
+  }
+  const bundleName = 'bundle' + (packData.version ? '-' + packData.version : '') + '.js';
+
+  // configure the bundler
+  const createPackageBundler = function (browserifyOpts) {
+    const packageBundler = createBundler(bundleName, 'package', dir, opts, browserifyOpts);
+
+    // exclude parent packages
+    packageBundler.external(folders.getParentPackageRequires(dir, false, opts.input.frameworkName));
+
+    // add packages
+    packData.modules.forEach(function (packModule) {
+      packageBundler.require(packModule.require);
+      if (packModule.init) {
+        packageBundler.add(require.resolve(packModule.init));
+      }
+    });
+    return packageBundler;
+  };
+
+  const filePath = path.join(outputPath, bundleName);
+  const finish = trackBundle(opts, 'package', dir, filePath, done);
+
+  // bundle
+  compileBundle(filePath, ['package', packData.modules], dir, opts, createPackageBundler, (bundleError, compiled) => {
+    if (bundleError) {
+      finish(bundleError);
+    } else {
+      if (opts.modules) {
+        opts.modules[Manifest.getId('package', dir.getPathFromRoot())] = compiled.modules;
+      }
+      const entry = {
+        kind: 'package',
+        source: dir.getPathFromRoot(),
+        version: packData.version,
+        rawSize: compiled.rawSize,
+        packages: compiled.packages
+      };
+      writeBundle(compiled.buf, compiled.map, filePath, entry, opts, finish);
+    }
+  });
+}
+
+/**
+ * Collect the framework files as they will be used repeatedly.
+ *
+ * @ignore
+ * @param {TreeNode} tree - A node in the tree of the input directory.
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Object} The framework folder along with the app and lib files in it.
+ */
+function getFramework(tree, input) {
+  const fwk = {
+    apps: [],
+    libs: [],
+    dir: tree.getRoot().getChildByPath(input.frameworkName) ||
+         fto.createTreeSync(input.frameworkDir, Object.assign({ ignoreError: true }, getTreeOptions(input)))
+  };
+  if (fwk.dir) {
+    fwk.dir.forEachDirectory(function (folder) {
+      Array.prototype.push.apply(fwk.apps, folder.getFilesByPattern(input.appsPattern));
+      Array.prototype.push.apply(fwk.libs, folder.getFilesByPattern(input.appsOrPackagePattern, { negate: true }));
+    }, { recurse: true });
+  }
+  return fwk;
+}
+
+/**
+ * Bundle a folder in a worker process.  The events for the bundle are emitted in this process.
+ *
+ * @ignore
+ * @param {Function} fn - The bundle function to execute.  Either bundleApp or bundlePackage.
+ * @param {TreeNode} dir - The folder to bundle.
+ * @param {Object} opts - The options.
+ * @param {Function} cb - Called when complete.  It will be passed an error if one occured and the manifest entry for the bundle.
+ * @returns {void}
+ */
+function bundleInWorker(fn, dir, opts, cb) {
+  const task = {
+    options: opts.input.options,
+    target: opts.input.target,
+    kind: (fn === bundlePackage) ? 'package' : 'app',
+    dir: dir.path
+  };
+  opts.input.pool.run(task, (name, data) => emitEvent(opts.input, name, data), (err, result) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    if (opts.modules && result.modules) {
+      Object.assign(opts.modules, result.modules);
+    }
+    cb(null, result.entry);
+  });
+}
+
+/**
+ * Bundle either apps or packages.  The number of folders that are bundled at the same time is limited by the
+ * scheduler of the input and the folders are bundled in worker processes when the input has a pool of workers.
+ *
+ * @ignore
+ * @param {Function} fn - The bundle function to execute.  Either bundleApps or bundlePackages.
+ * @param {TreeNode} tree - The tree to bundle.
+ * @param {Object} opts - Options to pass to the bundle functions.
+ * @param {Object} opts.input - The input generated from the bundle function.
+ * @param {Boolean} [opts.recurse] - If set to false only the given folder is bundled.
+ * @param {BundlerCache} [opts.bundlers] - Browserify instances to reuse between builds while watching for changes.
+ * @param {Object} [opts.modules] - When given the modules in each bundle are recorded on it keyed by the id of the bundle.
+ * @param {Function} cb - The call back function to execute when done.  It will be passed the manifest entries
+ *                        for the bundles that were created in the order of the folders in the tree.
+ * @returns {void}
+ */
+function bundleStart(fn, tree, opts, cb) {
+  const done = cb || function () {};
+
+  // determine the directories that will be processed
+  const dirs = [];
+  tree.forEachDirectory(function (dir) { dirs.push(dir); }, { recurse: opts.recurse });
+  if (!dirs.length) {
+    done(null, []);
+    return;
+  }
+
+  // wait for every folder so all of the bundles that fail are reported together and keep the results in
+  // the order of the folders so they don't depend on which bundle finishes first
+  const results = [];
+  const errors = [];
+  let pending = dirs.length;
+  const bundleDone = function (index, err, entry) {
+    if (err) {
+      errors[index] = err;
+    } else {
+      results[index] = entry;
+    }
+    if (!--pending) {
+      const error = errorReport.combineErrors(errors);
+      if (error) {
+        done(error);
+      } else {
+        done(null, results.filter(item => item));
+      }
+    }
+  };
+
+  // workers aren't used while watching as the browserify instances are kept in this process
+  const fwk = getFramework(tree, opts.input);
+  const useWorkers = Boolean(opts.input.pool && !opts.bundlers);
+  dirs.forEach((dir, index) => {
+    opts.input.scheduler.run(next => {
+      const folderDone = (err, entry) => {
+        next();
+        bundleDone(index, err, entry);
+      };
+      if (useWorkers) {
+        bundleInWorker(fn, dir, opts, folderDone);
+      } else {
+        fn(dir, { input: opts.input, framework: fwk, bundlers: opts.bundlers, modules: opts.modules }, folderDone);
+      }
+    });
+  });
+}
+
+/**
+ * Find the package bundles listed in the manifest of the most recently built other version.  Package bundles are
+ * shared by all versions so an app only build of a new version still loads them.  Entries for bundles that have
+ * since been deleted are left out.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Array} The manifest entries for the package bundles.
+ */
+function findSharedPackages(input) {
+  const versions = retention.findVersions(input.outputDir, {
+    appsName: input.appsName,
+    packagesName: input.packagesName,
+    exclude: [input.moduleName, input.version]
+  });
+  for (let i = 0; i < versions.length; i++) {
+    const manifest = new Manifest(input.outputDir, versions[i].name, input.frameworkName);
+    if (manifest.load()) {
+      const entries = manifest.getBundlesByKind('package')
+        .filter(entry => fs.existsSync(path.join(input.outputDir, entry.output)));
+      if (entries.length) {
+        return entries;
+      }
+    }
+  }
+  return [];
+}
+
+/**
+ * Update the bundles.json manifest with the given entries.  When only app bundles are emitted and the manifest
+ * doesn't list any package bundles yet, the package bundles of the most recently built other version are added.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Function} test - A function that is passed each existing entry and returns true if it should be removed.
+ * @param {Array} entries - The entries to add to the manifest.
+ * @param {Function} cb - Called when the manifest has been written.  It will be passed an error if one occured
+ *                        and the manifest.
+ * @returns {void}
+ */
+function updateManifest(input, test, entries, cb) {
+  const manifest = new Manifest(input.outputDir, input.version, input.frameworkName);
+  try {
+    manifest.load();
+    manifest.remove(test);
+    entries.forEach(entry => manifest.add(entry));
+    if (input.emit === 'app' && !manifest.getBundlesByKind('package').length) {
+      findSharedPackages(input).forEach(entry => manifest.add(entry));
+    }
+  } catch (err) {
+    cb(err);
+    return;
+  }
+  manifest.save(err => cb(err, manifest));
+}
+
+/**
+ * Check that an npm package isn't included in more than one of the bundles loaded by an app.  A package that is
+ * in both a package bundle and an app bundle below it is downloaded twice and may have its state split between
+ * two copies.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Manifest} manifest - The manifest with the bundles that have been built.
+ * @param {String} level - Either error to return the duplicates as an error, warn to emit them as warnings or off.
+ * @returns {Error} An error that lists the duplicates or null if there aren't any or they were only emitted as warnings.
+ */
+function checkDuplicates(input, manifest, level) {
+  if (level === 'off') {
+    return null;
+  }
+  const messages = manifest.getDuplicatePackages().map(dup => dup.name + ' is in more than one bundle loaded by ' +
+    dup.apps.join(', ') + ': ' + dup.bundles.map(item => item.version + ' in ' + item.id).join(', ') + '.');
+  if (!messages.length) {
+    return null;
+  }
+  if (level === 'error') {
+    return new Error(messages.join('\n'));
+  }
+  messages.forEach(message => emitWarning(input, 'duplicate', message));
+  return null;
+}
+
+/**
+ * Report the sizes of the given bundles and check them against their budgets.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Array} entries - The manifest entries for the bundles that were emitted.
+ * @param {Manifest} previous - The manifest from the last build or null if there wasn't one.
+ * @param {Function} cb - Called when the report is done.  It will be passed an error if one occured or if a
+ *                        bundle is over its budget.
+ * @returns {void}
+ */
+function reportSizes(input, entries, previous, cb) {
+  let report = null;
+  try {
+    report = sizeReport.createReport(entries, previous, {
+      inputDir: input.inputDir,
+      budgets: input.budgets,
+      minified: input.mode === 'production'
+    });
+  } catch (err) {
+    cb(err);
+    return;
+  }
+
+  if (input.report) {
+    emitEvent(input, 'report', { target: input.target, report, text: sizeReport.formatReport(report) });
+  }
+
+  const finish = err => {
+    const budgetErrors = sizeReport.getBudgetErrors(report);
+    if (err) {
+      cb(err);
+    } else if (budgetErrors.length) {
+      cb(new Error(budgetErrors.join('\n')));
+    } else {
+      cb();
     }
   };
 
-  const watcher = chokidar.watch(path.join(input.inputDir, '**/*.js'), {
-    ignored: /[\/\\]\./,
-    persistent: true
+  if (input.reportFile) {
+    mkdirp(path.dirname(input.reportFile), dirError => {
+      if (dirError) {
+        finish(dirError);
+      } else {
+        fs.writeFile(input.reportFile, JSON.stringify(report, null, 2), finish);
+      }
+    });
+  } else {
+    finish();
+  }
+}
+
+/**
+ * Write an analysis of the modules in the given bundles as JSON and as an html page next to the manifest.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Array} entries - The manifest entries for the bundles that were emitted.
+ * @param {Object} modules - The modules recorded for each bundle keyed by the id of the bundle.
+ * @param {Function} cb - Called when the files have been written.  It will be passed an error if one occured.
+ * @returns {void}
+ */
+function writeAnalysis(input, entries, modules, cb) {
+  const analysis = analyzer.createAnalysis(entries, modules, { frameworkName: input.frameworkName });
+  const dir = path.dirname(new Manifest(input.outputDir, input.version).filePath);
+  mkdirp(dir, dirError => {
+    if (dirError) {
+      cb(dirError);
+      return;
+    }
+    fs.writeFile(path.join(dir, 'analysis.json'), JSON.stringify(analysis, null, 2), jsonError => {
+      if (jsonError) {
+        cb(jsonError);
+      } else {
+        fs.writeFile(path.join(dir, 'analysis.html'), analyzer.formatHtml(analysis), cb);
+      }
+    });
+  });
+}
+
+/**
+ * Add a file to the tree along with any folders above it that aren't in the tree yet.
+ *
+ * @ignore
+ * @param {TreeNode} tree - The tree to add the file to.
+ * @param {String} file - The path of the file to add.
+ * @returns {void}
+ */
+function addToTree(tree, file) {
+  const root = tree.getRoot();
+  const TreeNode = root.constructor;
+  const parts = path.relative(root.path, file).split(path.sep);
+  let parent = root;
+  parts.forEach((part, index) => {
+    let child = parent.getChildByPath(part);
+    if (!child) {
+      const isFile = (index === parts.length - 1);
+      child = new TreeNode({ path: path.join(parent.path, part), isFile, isDirectory: !isFile });
+      child.parent = parent;
+      parent.children.push(child);
+      if (isFile) {
+        parent.files.push(child);
+      } else {
+        parent.directories.push(child);
+      }
+    }
+    parent = child;
+  });
+}
+
+/**
+ * Remove a file from the tree.
+ *
+ * @ignore
+ * @param {TreeNode} tree - The tree to remove the file from.
+ * @param {String} file - The path of the file to remove.
+ * @returns {void}
+ */
+function removeFromTree(tree, file) {
+  const node = tree.getByPath(file);
+  if (node && node.parent) {
+    const parent = node.parent;
+    parent.children = parent.children.filter(child => child !== node);
+    parent.files = parent.files.filter(child => child !== node);
+    parent.directories = parent.directories.filter(child => child !== node);
+  }
+}
+
+/**
+ * Respond to a change event.  The tree is updated in place and the changed file is removed from the module
+ * caches so only that file is read again when bundles are rebuilt.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Object} state - The state that is kept while watching.
+ * @param {TreeNode} state.tree - The tree of the input directory.
+ * @param {BundlerCache} state.bundlers - The browserify instances for bundles that have been built.
+ * @param {Debouncer} state.debouncer - Delays rebuilding a bundle until the changes to its files have settled.
+ * @param {String} file - The file that was changed.
+ * @param {String} event - The type of change that occured.
+ * @param {Function} [cb] - Called when this function is done.  It will be passed an error if one occured and the
+ *                        manifest entries for the bundles that were rebuilt.
+ * @returns {void}
+ */
+function bundleChanged(input, state, file, event, cb) {
+  const done = cb || function () {};
+
+  // ignore files that begin with a dot or match the ignore globs
+  if (path.basename(file)[0] === '.' || input.isIgnored(file)) {
+    return;
+  }
+
+  // update the tree and caches
+  if (event === 'add') {
+    addToTree(state.tree, file);
+  } else if (event === 'unlink') {
+    removeFromTree(state.tree, file);
+  }
+  state.bundlers.invalidate(file);
+  if (path.basename(file) === 'package.js') {
+    // package files determine how bundles are configured so start over
+    delete require.cache[file];
+    state.bundlers.clear();
+  }
+
+  // get the tree node
+  const treeNode = state.tree.getByPath(event === 'unlink' ? path.dirname(file) : file);
+  if (!treeNode) {
+    done(new Error('Could not find node in tree.'));
+    return;
+  }
+
+  // bundle
+  const bundleNode = folders.getNodeForBundle(treeNode, input);
+  state.debouncer.run(bundleNode.path, () => {
+    const currentBundleNode = state.tree.getByPath(bundleNode.path);
+    if (!currentBundleNode) {
+      return;
+    }
+    bundleStart(bundleApp, currentBundleNode, { input, recurse: false, bundlers: state.bundlers }, (err, entries) => {
+      if (err) {
+        done(err);
+        return;
+      }
+      // replace the entry for the folder as it may no longer produce a bundle
+      const source = Manifest.getId('app', currentBundleNode.getPathFromRoot());
+      updateManifest(input, entry => Manifest.getId(entry.kind, entry.source) === source, entries, (manifestError, manifest) => {
+        done(manifestError || checkDuplicates(input, manifest, input.duplicates), entries);
+      });
+    });
   });
+}
+
+/**
+ * Watch for changes to files that will cause a bundle to be created.  The tree of the input directory and
+ * the browserify instances for bundles are kept between changes.  A rebuild event is emitted with the file
+ * that changed and the manifest entries for the bundles that were rebuilt.
+ *
+ * @ignore
+ * @param {Object} input - The input for the function that was generated by the bundle function.
+ * @param {DevServer} [server] - A server to notify when bundles have been rebuilt.
+ * @param {Function} cb - Called once the files are being watched.  It will be passed an error if one occured
+ *                        and the chokidar watcher.
+ * @return {void}
+ */
+function bundleWatch(input, server, cb) {
+  createTree(input)
+    .then(tree => {
+      // each output format is watched separately so it has its own debouncer
+      const state = { tree, bundlers: new BundlerCache(), debouncer: new Debouncer() };
+      const watcher = chokidar.watch(path.join(input.inputDir, '**/*.js'), {
+        ignored: [/[\/\\]\./].concat(input.ignore.map(glob => path.join(input.inputDir, glob))),
+        persistent: true
+      });
+
+      const onChange = event => file => {
+        bundleChanged(input, state, file, event, (err, entries) => {
+          if (err) {
+            reportWatchError(input, err);
+            return;
+          }
+          if (server) {
+            server.notify(entries);
+          }
+          emitEvent(input, 'rebuild', { file, target: input.target, entries });
+        });
+      };
+      watcher.on('ready', () => {
+        watcher.on('add', onChange('add'));
+        watcher.on('change', onChange('change'));
+        watcher.on('unlink', onChange('unlink'));
+        cb(null, watcher);
+      });
+    })
+    .catch(cb);
+}
+
+/**
+ * Check that code only depends on code that is above it in the folder tree, on the framework folder, or on npm
+ * packages declared in the package.js files above it.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {TreeNode} tree - The tree of the input directory.
+ * @param {String} level - Either error to return the violations as an error or warn to emit them as warnings.
+ * @returns {Error} An error that lists the violations or null if there aren't any or they were only emitted as warnings.
+ */
+function checkTree(input, tree, level) {
+  const messages = boundaries.checkBoundaries(tree, input).map(boundaries.formatViolation);
+  if (!messages.length) {
+    return null;
+  }
+  if (level === 'error') {
+    return new Error(messages.join('\n'));
+  }
+  messages.forEach(message => emitWarning(input, 'boundary', message));
+  return null;
+}
+
+/**
+ * Delete the versioned app outputs and package bundles that aren't retained.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {Boolean} dryRun - If set to true the folders and files are emitted in prune events but not deleted.
+ * @returns {Error} An error if one occured or null.
+ */
+function pruneOutput(input, dryRun) {
+  try {
+    const result = retention.getPrunable(input.outputDir, {
+      retain: input.retain,
+      version: input.version,
+      appsName: input.appsName,
+      packagesName: input.packagesName,
+      exclude: [input.moduleName]
+    });
+    result.warnings.forEach(message => emitWarning(input, 'retention', message));
+    if (!dryRun) {
+      retention.prune(result.remove);
+    }
+    result.remove.forEach(item => emitEvent(input, 'prune', { path: item, dryRun: !!dryRun }));
+    return null;
+  } catch (err) {
+    return err;
+  }
+}
+
+/**
+ * Set the folders bundles are written to.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @param {String} outputDir - The folder to write the bundles and manifest to.
+ * @returns {void}
+ */
+function setOutputDirs(input, outputDir) {
+  input.outputDir = outputDir;
+  input.appsOutputDir = path.join(outputDir, input.version || '', input.appsName);
+  input.packagesOutputDir = path.join(outputDir, input.packagesName);
+}
 
-  watcher.on('ready', () => {
-    watcher.on('add', file => { bundleChanged(input, file, 'add', done); });
-    watcher.on('change', file => { bundleChanged(input, file, 'change', done); });
-    watcher.on('unlink', file => { bundleChanged(input, file, 'unlink', done); });
+/**
+ * Get the input for each output format that is built.  ES module bundles are written to their own folder within the
+ * output directory with their own manifest.  When both formats are built the dependency checks are only done for the
+ * legacy bundles since the code is the same.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function.
+ * @returns {Array} The input for each output format in the order they are built.
+ */
+function getTargetInputs(input) {
+  const targets = (input.format === 'both') ? ['legacy', 'module'] : [input.format];
+  return targets.map(target => {
+    const result = Object.assign({}, input, { target });
+    if (target === 'module') {
+      setOutputDirs(result, path.join(input.outputDir, input.moduleName));
+      if (result.reportFile) {
+        result.reportFile = result.reportFile.replace(/(\.json)?$/, '.' + input.moduleName + '$1');
+      }
+      if (targets.length > 1) {
+        result.boundaries = 'off';
+        result.duplicates = 'off';
+      }
+    }
+    return result;
   });
 }
 
 /**
- * Generate bundles.
+ * Build all of the bundles for an output format.
+ *
+ * @ignore
+ * @param {Object} input - The input generated from the bundle function for the output format.
+ * @param {Function} done - Called when the build is complete.  It will be passed an error if one occured and the
+ *                          manifest entries for the bundles that were built.
+ * @returns {void}
+ */
+function buildBundles(input, done) {
+  const emitApps = (input.emit === 'app' || input.emit === 'both');
+  const emitPackages = (input.emit === 'package' || input.emit === 'both');
+
+  // record the modules in each bundle when they are analyzed
+  const modules = input.analyze ? {} : null;
+
+  // keep the manifest from the last build so the change in size can be reported
+  let previous = null;
+  try {
+    previous = sizeReport.loadPrevious(input.outputDir, input.version, input.frameworkName, [input.moduleName]);
+  } catch (err) {
+    done(err);
+    return;
+  }
+
+  // report results once all bundles have been written
+  const finishResults = (input.emit === 'both') ? [] : [null];
+  const finishEntries = [];
+  const finish = (err, entries) => {
+    finishResults.push(err);
+    if (entries) {
+      Array.prototype.push.apply(finishEntries, entries);
+    }
+    if (finishResults.length === 2) {
+      const finishError = errorReport.combineErrors(finishResults);
+      if (finishError) {
+        done(finishError);
+        return;
+      }
+      // replace the entries for the type of bundles that were emitted
+      updateManifest(input, entry => (entry.kind === 'package' ? emitPackages : emitApps), finishEntries, (manifestError, manifest) => {
+        if (manifestError) {
+          done(manifestError);
+          return;
+        }
+
+        // duplicates still fail the build after the analysis and size report have been written
+        const duplicateError = checkDuplicates(input, manifest, input.duplicates);
+        const report = () => reportSizes(input, finishEntries, previous, reportError => {
+          if (duplicateError && reportError) {
+            done(new Error(duplicateError.message + '\n' + reportError.message));
+          } else if (duplicateError || reportError) {
+            done(duplicateError || reportError);
+          } else {
+            // old versions are only pruned once the build has succeeded
+            done(input.retain ? pruneOutput(input, false) : null, finishEntries);
+          }
+        });
+        if (modules) {
+          writeAnalysis(input, finishEntries, modules, analysisError => {
+            if (analysisError) {
+              done(analysisError);
+            } else {
+              report();
+            }
+          });
+        } else {
+          report();
+        }
+      });
+    }
+  };
+
+  // create tree of directories and then bundle them
+  createTree(input)
+    .then(function (tree) {
+      if (input.boundaries !== 'off') {
+        const checkError = checkTree(input, tree, input.boundaries);
+        if (checkError) {
+          done(checkError);
+          return;
+        }
+      }
+      if (emitApps) {
+        if (input.clean) {
+          del.sync(input.appsOutputDir);
+        }
+        bundleStart(bundleApp, tree, { input, recurse: true, modules }, finish);
+      }
+      if (emitPackages) {
+        // package bundles still used by retained versions are kept and the rest are pruned after the build
+        if (input.clean && !input.retain) {
+          del.sync(input.packagesOutputDir);
+        }
+        bundleStart(bundlePackage, tree, { input, recurse: true, modules }, finish);
+      }
+    })
+    .catch(function (err) {
+      done(err);
+    });
+}
+
+/**
+ * Create the input for building from the options.  The options are validated and defaults are filled in.
  *
+ * @ignore
  * @param {Object} options - Options for bundling.
  * @param {String} options.inputDir - The folder to bundle app code from.
- * @param {String} options.outputDir - The output for the bundled code.
+ * @param {String} options.outputDir - The output for the bundled code.  This isn't required when only checking.
  * @param {String} [options.emit] - Select the type of bundles to create.  Choose between app, package, or both.  Defaults to both.
+ * @param {String} [options.format] - The output format of the bundles.  Choose between legacy, module, or both.  Module bundles
+ *                                    are loaded with type="module" script tags and are written to their own folder.  They
+ *                                    have the same browserify wrapper as legacy bundles and only differ by the transforms
+ *                                    and plugins for each format and by the minifier.  Defaults to legacy.
+ * @param {String} [options.moduleName] - An optional name to give to the folder for module output.  Defaults to module.
  * @param {Boolean}[options.clean] - If set to false the output directory will not be deleted first.  Defaults to true.
  * @param {String} [options.version] - An optional version number to output apps code into within the outputDir.
  * @param {String} [options.appsName] - An optional name to give to the folder for app output.
  * @param {String} [options.packagesName] - An optional name to give to the folder for package output.
  * @param {Boolean}[options.watch] - If set to true then a watch will be started that responds to changes in files.
- * @param {Function} [cb] - The function to call when this one finishes.  If an error occured it will be passed to the function.
- * @returns {void}
+ * @param {Boolean}[options.serve] - If set to true the output directory will be served over http while watching for changes
+ *                                   and browsers will be notified when bundles are rebuilt.
+ * @param {Number} [options.port] - The port the output directory is served on.  Defaults to 8090.
+ * @param {Boolean}[options.hash] - If set to true the hash of each bundle's content will be included in its file name.
+ * @param {String} [options.integrity] - The hash algorithm used for subresource integrity values.  Choose between sha256, sha384
+ *                                       or sha512.  Defaults to sha384.
+ * @param {String} [options.mode] - The build mode.  Choose between development or production.  Development bundles aren't
+ *                                  minified, have inline source maps and aren't compressed.  Defaults to production.
+ * @param {Boolean}[options.nodeEnv] - If set to true references to process.env.NODE_ENV will be replaced with the mode.
+ * @param {Array|String} [options.compress] - The compressed copies to emit for each bundle.  Choose any of gzip and br or an empty
+ *                                            array for none.  Defaults to gzip and br when brotli is supported by Node
+ *                                            or none in development mode.
+ * @param {Number} [options.gzipLevel] - The compression level used for gzip, from 0 to 9.  Defaults to the zlib default.
+ * @param {Number} [options.brotliLevel] - The compression level used for brotli, from 0 to 11.  Defaults to 11.
+ * @param {String} [options.appSuffix] - The file name suffix that identifies app files.  Defaults to .app.js.
+ * @param {String} [options.frameworkName] - The name of the framework folder.  Defaults to framework.
+ * @param {Array|String} [options.ignore] - Globs relative to the inputDir for files and folders that won't be bundled.
+ * @param {Array|Object} [options.transforms] - Browserify transforms to apply.  Either an array that applies to all bundles or an
+ *                                              object with an all property and a property for each kind of bundle, app, lib,
+ *                                              framework or package.  Each transform is a module name, a function, or an array
+ *                                              with the name or function followed by the options for it.
+ * @param {Array|Object} [options.plugins] - Browserify plugins to apply.  These are given in the same way as transforms.
+ * @param {Boolean}[options.check] - If set to true the dependency boundaries are checked without bundling.
+ * @param {String} [options.boundaries] - What to do when code depends on code that isn't above it in the folder tree or on an npm
+ *                                        package that isn't declared.  Choose between error, warn or off.  Defaults to warn.
+ * @param {String} [options.duplicates] - What to do when an npm package is in more than one of the bundles loaded by an app.
+ *                                        Choose between error, warn or off.  Defaults to warn.
+ * @param {Boolean}[options.analyze] - If set to true the modules in each bundle will be written to analysis.json and
+ *                                     analysis.html files next to the manifest.
+ * @param {Boolean}[options.report] - If set to false the report event with the sizes of the bundles isn't emitted.  Defaults to true.
+ * @param {String} [options.reportFile] - A file to write the size report to as JSON.
+ * @param {Number|String|Object} [options.budgets] - The largest size allowed for bundles, either a number of bytes or a string such
+ *                                                   as 150kb.  Limits for each kind of bundle are given in the same way as transforms.
+ *                                                   A budget in the package.js file of a folder is used instead for its bundles.
+ * @param {Number} [options.retain] - Keep this many of the most recently built versions and the package bundles they use
+ *                                    instead of deleting all of the package bundles before a build.  Everything else is pruned
+ *                                    once the build succeeds.  A version is required.
+ * @param {Boolean}[options.dryRun] - If set to true the versions and package bundles that would be pruned are listed without
+ *                                    bundling or deleting anything.
+ * @param {Number} [options.concurrency] - The largest number of bundles to build at the same time.  Defaults to the number of
+ *                                         cores.
+ * @param {Boolean}[options.workers] - If set to true bundles are built in worker processes so they are minified on more
+ *                                     than one core.  The number of workers is set by the concurrency option.
+ * @param {String} [options.cacheDir] - A folder to keep built bundles in between builds.  Bundles are restored from it
+ *                                      instead of being built again when none of the files they are built from have changed.
+ * @param {EventEmitter} [events] - Emits the bundle-start, bundle-end, rebuild, report, warning, prune and serve events.
+ * @returns {Object} The input.
  */
-function bundle(options, cb) {
+function createInput(options, events) {
   const opts = options || {};
-  const done = cb || function () {};
+
+  const errors = config.validate(opts);
+  if (!opts.inputDir && !opts.dryRun) {
+    errors.push('The inputDir option is required.');
+  }
+  if (!opts.outputDir && !opts.check) {
+    errors.push('The outputDir option is required.');
+  }
+  if (typeof opts.retain !== 'undefined' && !(Math.floor(opts.retain) === opts.retain && opts.retain > 0)) {
+    errors.push('Invalid value for option retain: ' + opts.retain + '.  Expected a whole number greater than 0.');
+  }
+  if (opts.retain && !opts.version && !opts.dryRun) {
+    errors.push('The retain option requires a version.');
+  }
+  if (opts.dryRun && typeof opts.retain === 'undefined') {
+    errors.push('The dryRun option requires the retain option.');
+  }
+  if (typeof opts.concurrency !== 'undefined' && !(Math.floor(opts.concurrency) === opts.concurrency && opts.concurrency > 0)) {
+    errors.push('Invalid value for option concurrency: ' + opts.concurrency + '.  Expected a whole number greater than 0.');
+  }
+  if (opts.workers && hasFunction([opts.transforms, opts.plugins])) {
+    errors.push('The workers option can\'t be used with transforms or plugins that are functions.  Use module names instead.');
+  }
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+
   const input = {
-    inputDir: path.resolve(opts.inputDir),
-    outputDir: path.resolve(opts.outputDir),
+    inputDir: path.resolve(opts.inputDir || '.'),
+    outputDir: path.resolve(opts.outputDir || '.'),
     version: opts.version,
+    appsName: opts.appsName || 'apps',
+    packagesName: opts.packagesName || 'packages',
     emit: opts.emit || 'both',
+    format: opts.format || 'legacy',
+    moduleName: opts.moduleName || 'module',
     clean: (typeof opts.clean === 'undefined') ? true : opts.clean,
-    watch: opts.watch
+    watch: opts.watch || opts.serve,
+    serve: opts.serve,
+    port: opts.port || DevServer.defaultPort,
+    hash: opts.hash,
+    integrity: opts.integrity || 'sha384',
+    mode: opts.mode || 'production',
+    nodeEnv: opts.nodeEnv,
+    compress: opts.compress,
+    compressLevels: {
+      gzip: (typeof opts.gzipLevel === 'undefined') ? -1 : opts.gzipLevel,
+      br: (typeof opts.brotliLevel === 'undefined') ? 11 : opts.brotliLevel
+    },
+    appSuffix: opts.appSuffix || '.app.js',
+    frameworkName: opts.frameworkName || 'framework',
+    ignore: [].concat(opts.ignore || []),
+    transforms: opts.transforms,
+    plugins: opts.plugins,
+    check: opts.check,
+    boundaries: opts.boundaries || 'warn',
+    duplicates: opts.duplicates || 'warn',
+    analyze: opts.analyze,
+    report: opts.report !== false,
+    reportFile: opts.reportFile ? path.resolve(opts.reportFile) : null,
+    budgets: opts.budgets,
+    retain: opts.retain,
+    dryRun: opts.dryRun,
+    concurrency: opts.concurrency || os.cpus().length || 1,
+    workers: opts.workers,
+    cache: opts.cacheDir ? new BuildCache(opts.cacheDir) : null,
+    events: events || null,
+    options: opts
+  };
+
+  // folder conventions
+  const appSuffix = escapeRegExp(input.appSuffix);
+  input.appsPattern = new RegExp(appSuffix + '$');
+  input.appsOrPackagePattern = new RegExp('(' + appSuffix + '$)|([\\\\\\/]package\\.js$)');
+  input.frameworkPattern = new RegExp('^' + escapeRegExp(input.frameworkName) + '[\\\\\\/]');
+  input.isIgnored = filePath => {
+    const relativePath = path.relative(input.inputDir, filePath).replace(/\\/g, '/');
+    return input.ignore.some(glob => minimatch(relativePath, glob, { dot: true }));
   };
 
-  input.appsOutputDir = input.outputDir;
-  if (opts.version) {
-    input.appsOutputDir = path.join(input.appsOutputDir, opts.version);
+  if (typeof input.compress === 'undefined') {
+    if (input.mode === 'development') {
+      input.compress = [];
+    } else {
+      input.compress = zlib.brotliCompress ? ['gzip', 'br'] : ['gzip'];
+    }
+  } else if (typeof input.compress === 'string') {
+    input.compress = (input.compress === 'none') ? [] : input.compress.split(',');
+  }
+
+  const compressError = input.compress.find(encoding => !compressors[encoding]);
+  if (typeof compressError !== 'undefined') {
+    throw new Error('Invalid compression format: ' + compressError);
+  }
+  if (input.compress.indexOf('br') !== -1 && !zlib.brotliCompress) {
+    throw new Error('Brotli compression is not supported by this version of Node.');
+  }
+  const levelError = Object.keys(compressors).find(encoding => {
+    const level = input.compressLevels[encoding];
+    const range = compressors[encoding].levels;
+    return !(Math.floor(level) === level && level >= range[0] && level <= range[1]);
+  });
+  if (levelError) {
+    throw new Error('Invalid ' + levelError + ' compression level: ' + input.compressLevels[levelError]);
   }
-  input.appsOutputDir = path.join(input.appsOutputDir, opts.appsName || 'apps');
 
-  input.packagesOutputDir = path.join(input.outputDir, opts.packagesName || 'packages');
-  input.frameworkDir = path.join(input.inputDir, 'framework');
+  setOutputDirs(input, input.outputDir);
+  input.frameworkDir = path.join(input.inputDir, input.frameworkName);
   input.baseOutputDir = input.inputDir.slice(process.cwd().length);
+  input.scheduler = new Scheduler(input.concurrency);
 
-  if (input.watch) {
-    // watch for changes
-    bundleWatch(input);
+  return input;
+}
+
+/**
+ * Generate bundles.  When the dryRun option is set the output that would be pruned is listed instead and when the check
+ * option is set the dependency boundaries are checked instead.  The watch and serve options are handled by the watch function.
+ *
+ * @ignore
+ * @param {Object} options - Options for bundling.  See the createInput function.
+ * @param {EventEmitter} [events] - Emits a bundle-start event when a bundle is started and a bundle-end event when it has been written.
+ * @param {Function} [cb] - The function to call when this one finishes.  It will be passed an error if one occured and the manifest
+ *                          entries for the bundles that were built.
+ * @returns {void}
+ */
+function bundle(options, events, cb) {
+  const done = cb || function () {};
+  let input = null;
+  try {
+    input = createInput(options, events);
+  } catch (err) {
+    done(err);
+    return;
+  }
+
+  if (input.dryRun) {
+    // only list the versions and package bundles that would be pruned
+    let pruneError = null;
+    getTargetInputs(input).forEach(target => {
+      pruneError = pruneError || pruneOutput(target, true);
+    });
+    done(pruneError, []);
+  } else if (input.check) {
+    // only check the dependency boundaries
+    createTree(input)
+      .then(tree => done(checkTree(input, tree, 'error'), []))
+      .catch(done);
   } else {
-    // report results
-    const finishResults = (input.emit === 'both') ? [null] : [];
-    const finish = (err) => {
-      finishResults.push(err);
-      if (finishResults.length === 2) {
-        done(finishResults[0] || finishResults[1]);
+    // build each output format one after the other with the same workers
+    if (input.workers) {
+      input.pool = new WorkerPool(input.concurrency);
+    }
+    const finish = (err, entries) => {
+      if (input.pool) {
+        input.pool.close();
       }
+      done(err, entries);
     };
-
-    // create tree of directories and then bundle them
-    fto.createTree(input.inputDir, { filePattern: /\.js$/ })
-      .then(function (tree) {
-        if (input.emit === 'app' || input.emit === 'both') {
-          if (input.clean) {
-            del.sync(input.appsOutputDir);
-          }
-          bundleStart(bundleApp, tree, { input, recurse: true }, finish);
+    const targets = getTargetInputs(input);
+    const entries = [];
+    const buildNext = index => {
+      buildBundles(targets[index], (err, targetEntries) => {
+        if (err) {
+          finish(err);
+          return;
         }
-        if (input.emit === 'package' || input.emit === 'both') {
-          if (input.clean) {
-            del.sync(input.packagesOutputDir);
-          }
-          bundleStart(bundlePackage, tree, { input, recurse: true }, finish);
+        Array.prototype.push.apply(entries, targetEntries);
+        if (index === targets.length - 1) {
+          finish(null, entries);
+        } else {
+          buildNext(index + 1);
         }
-      })
-      .catch(function (err) {
-        done(err);
       });
+    };
+    buildNext(0);
   }
 }
 
-// get version from package.json
-if (argsv.m && !argsv.v) {
+/**
+ * Watch for changes and rebuild the bundles that are affected.  When the serve option is set the output directory
+ * is also served and browsers are notified when bundles have been rebuilt.
+ *
+ * @ignore
+ * @param {Object} options - Options for bundling.  See the createInput function.
+ * @param {EventEmitter} [events] - Emits the bundle-start and bundle-end events for each bundle that is rebuilt, a rebuild event
+ *                                  once the bundles for a change have been written, and an error event when a rebuild fails.
+ * @param {Function} [cb] - Called once the files are being watched.  It will be passed an error if one occured and a
+ *                          function that stops watching.  The function is passed a callback to call once everything has stopped.
+ * @returns {void}
+ */
+function watch(options, events, cb) {
+  const done = cb || function () {};
+  let input = null;
   try {
-    argsv.v = (typeof argsv.m === 'string') ?
-      JSON.parse(fs.readFileSync(argsv.m)).version :
-      JSON.parse(fs.readFileSync('./package.json')).version;
+    input = createInput(options, events);
   } catch (err) {
-    console.error(err);
-    return 1;
-  }
-}
-
-if (argsv._.length !== 1 || !argsv.o) {
-  //
-  // print help info if args are missing
-  //
-  console.log('Usage: build-bundle <dir> -o <output directory> [-e <app|package|both>]');
-  console.log('                    [-m [<package.json]] [-v <version>] [-a <name>] [-p <name>] [-w] [-k]');
-  console.log('');
-  console.log('Options:');
-  console.log('<dir>\t The directory that contains all of the code to bundle.');
-  console.log('-a\t A name to include in the app bundles output path.  Defaults to apps.');
-  console.log('-e\t The type of bundles to emit.  Defaults to both.');
-  console.log('-k\t When this option is specified the output folder will not be deleted before bundles are emitted.');
-  console.log('-m\t Read in the version number from a package.json file.  If a file isn\'t specified the package.json in the cwd will be used.');
-  console.log('-o\t The directory to emit bundles to.');
-  console.log('-p\t A name to include in the package bundles output path.  Defaults to packages.');
-  console.log('-v\t A version number to include in the output path.');
-  console.log('-w\t When present the files specified in the glob pattern(s) will be watched for changes and copied when they do change.');
-  process.exitCode = 1;
-} else {
-  //
-  // bundle files specified and optional begin watch
-  //
-  bundle({
-    inputDir: argsv._[0],
-    outputDir: argsv.o,
-    emit: argsv.e,
-    clean: !argsv.k,
-    version: argsv.v,
-    appsName: argsv.a,
-    packagesName: argsv.p,
-    watch: argsv.w
-  }, (err) => {
-    if (err) {
-      console.error('Bundle Error: ' + err);
-      process.exitCode = 1;
+    done(err);
+    return;
+  }
+
+  const targets = getTargetInputs(input);
+  const watchers = [];
+  const server = input.serve ? new DevServer({ root: input.outputDir, port: input.port }) : null;
+  const close = closed => {
+    watchers.forEach(watcher => watcher.close());
+    if (server) {
+      server.close(() => (closed || function () {})());
+    } else if (closed) {
+      closed();
     }
-  });
+  };
+
+  // watch each output format once the server is listening
+  const watchNext = index => {
+    if (index === targets.length) {
+      done(null, close);
+      return;
+    }
+    bundleWatch(targets[index], server, (err, watcher) => {
+      if (err) {
+        close();
+        done(err);
+        return;
+      }
+      watchers.push(watcher);
+      watchNext(index + 1);
+    });
+  };
+
+  if (server) {
+    server.start(err => {
+      if (err) {
+        done(err);
+        return;
+      }
+      emitEvent(input, 'serve', { root: input.outputDir, url: 'http://localhost:' + input.port + '/' });
+      watchNext(0);
+    });
+  } else {
+    watchNext(0);
+  }
 }
+
+/**
+ * Build the bundle for a single folder in a worker process.
+ *
+ * @param {Object} task - The task sent to the worker.
+ * @param {Object} task.options - The options for bundling.
+ * @param {String} task.target - The output format to build.  Either legacy or module.
+ * @param {String} task.kind - Either app to bundle the folder with the bundleApp function or package to bundle it with the
+ *                             bundlePackage function.
+ * @param {String} task.dir - The path of the folder.
+ * @param {Object} state - The state that is kept by the worker between tasks.
+ * @param {Object} state.trees - The promises for the trees of the input directories that have been read in.
+ * @param {Object} state.events - Emits the events for the bundle.
+ * @param {Function} cb - Called when complete.  It will be passed an error if one occured and an object with the manifest
+ *                        entry for the bundle and the modules that were recorded for it.
+ * @returns {void}
+ */
+function bundleTask(task, state, cb) {
+  let input = null;
+  try {
+    input = getTargetInputs(createInput(Object.assign({}, task.options, { workers: false }), state.events))
+      .find(target => target.target === task.target);
+  } catch (err) {
+    cb(err);
+    return;
+  }
+
+  state.trees[input.inputDir] = state.trees[input.inputDir] || createTree(input);
+  state.trees[input.inputDir]
+    .then(tree => {
+      const dir = tree.getByPath(task.dir);
+      if (!dir) {
+        cb(new Error('Could not find folder: ' + task.dir));
+        return;
+      }
+      const modules = input.analyze ? {} : null;
+      const fn = (task.kind === 'package') ? bundlePackage : bundleApp;
+      fn(dir, { input, framework: getFramework(tree, input), modules }, (err, entry) => {
+        cb(err, { entry, modules });
+      });
+    })
+    .catch(cb);
+}
+
+module.exports = {
+  bundle,
+  watch,
+  bundleTask
+};
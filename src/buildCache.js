@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mkdirp = require('mkdirp');
+
+/**
+ * Changes when the format of the files in the cache changes so old entries are ignored.
+ */
+const formatVersion = 2;
+
+/**
+ * Get the sha256 hash of some content.
+ *
+ * @ignore
+ * @param {Buffer|String} content - The content to hash.
+ * @returns {String} The hash as hex.
+ */
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Write a file so that it's either complete or not there at all, even when more than one process writes it at once.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the file.
+ * @param {Buffer|String} content - The content to write.
+ * @returns {void}
+ */
+function writeFileAtomic(filePath, content) {
+  const tempPath = filePath + '.' + process.pid + '.tmp';
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Read in a record of a bundle in the cache.
+ *
+ * @ignore
+ * @param {String} recordPath - The path of the record file.
+ * @returns {Object} The record or null if it can't be read.
+ */
+function readRecord(recordPath) {
+  try {
+    return JSON.parse(fs.readFileSync(recordPath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * This class keeps built bundles on disk between runs so bundles whose inputs haven't changed don't have to be
+ * built again.  Each bundle is stored under a key made from its configuration and then by the hashes of every file
+ * that browserify read for it, so a key can have a record for each set of file contents it has been built from.
+ * A bundle is restored from the record whose files all still have the same content, which lets a change that is
+ * reverted use the bundle that was built before it.  The code and source maps are stored once by the hash of
+ * their content.
+ *
+ * @constructor
+ * @param {String} dir - The folder to keep the cache in.
+ */
+const BuildCache = function (dir) {
+  this.dir = path.resolve(dir);
+  this.fileHashes = {};
+};
+
+/**
+ * Create a key from the values that the configuration of a bundle is based on.
+ *
+ * @param {Array} parts - The values.  Functions are included by their source.
+ * @returns {String} The key.
+ */
+BuildCache.prototype.getKey = function (parts) {
+  return hash(JSON.stringify([formatVersion].concat(parts), (name, value) => {
+    return (typeof value === 'function') ? value.toString() : value;
+  }));
+};
+
+/**
+ * Get the hash of the content of a file.  Files are only hashed once for each instance of the cache.
+ *
+ * @param {String} file - The path of the file.
+ * @returns {String} The hash or null if the file doesn't exist.
+ */
+BuildCache.prototype.hashFile = function (file) {
+  if (typeof this.fileHashes[file] === 'undefined') {
+    this.fileHashes[file] = fs.existsSync(file) ? hash(fs.readFileSync(file)) : null;
+  }
+  return this.fileHashes[file];
+};
+
+/**
+ * Get a bundle from the cache.
+ *
+ * @param {String} key - The key for the configuration of the bundle.
+ * @returns {Object} The bundle with a buf, map, rawSize, packages and modules property or null if there isn't a bundle
+ *                   for the key that was built from the current content of its files.
+ */
+BuildCache.prototype.get = function (key) {
+  const keyDir = path.join(this.dir, 'records', key);
+  if (!fs.existsSync(keyDir)) {
+    return null;
+  }
+
+  const record = fs.readdirSync(keyDir)
+    .filter(name => path.extname(name) === '.json')
+    .map(name => readRecord(path.join(keyDir, name)))
+    .find(item => item && Object.keys(item.files).every(file => this.hashFile(file) === item.files[file]));
+  if (!record) {
+    return null;
+  }
+
+  const bufPath = path.join(this.dir, 'content', record.buf);
+  const mapPath = record.map ? path.join(this.dir, 'content', record.map) : null;
+  if (!fs.existsSync(bufPath) || (mapPath && !fs.existsSync(mapPath))) {
+    return null;
+  }
+  return {
+    buf: fs.readFileSync(bufPath),
+    map: mapPath ? fs.readFileSync(mapPath, 'utf8') : undefined,
+    rawSize: record.rawSize,
+    packages: record.packages,
+    modules: record.modules
+  };
+};
+
+/**
+ * Add a bundle to the cache.
+ *
+ * @param {String} key - The key for the configuration of the bundle.
+ * @param {Object} bundle - The bundle with a buf, map, rawSize, packages and modules property.
+ * @param {Array} files - The paths of the files the bundle was built from.
+ * @returns {void}
+ */
+BuildCache.prototype.set = function (key, bundle, files) {
+  const contentDir = path.join(this.dir, 'content');
+  const keyDir = path.join(this.dir, 'records', key);
+  mkdirp.sync(contentDir);
+  mkdirp.sync(keyDir);
+
+  const store = content => {
+    const name = hash(content);
+    const filePath = path.join(contentDir, name);
+    if (!fs.existsSync(filePath)) {
+      writeFileAtomic(filePath, content);
+    }
+    return name;
+  };
+
+  const record = {
+    files: {},
+    buf: store(bundle.buf),
+    map: bundle.map ? store(bundle.map) : null,
+    rawSize: bundle.rawSize,
+    packages: bundle.packages,
+    modules: bundle.modules
+  };
+  files.slice().sort().forEach(file => {
+    record.files[file] = this.hashFile(file);
+  });
+
+  // the record is named by the content of the files so other builds of the key are kept
+  writeFileAtomic(path.join(keyDir, hash(JSON.stringify(record.files)) + '.json'), JSON.stringify(record));
+};
+
+module.exports = BuildCache;
@@ -0,0 +1,116 @@
+'use strict';
+
+/* global Promise */
+
+const EventEmitter = require('events');
+const util = require('util');
+const buildBundle = require('./buildBundle');
+
+/**
+ * This class is used to build bundles from Node scripts such as Gulp tasks.  It emits the following events.
+ *
+ * - bundle-start: A bundle has been started.  It's passed an object with the kind, source, target and path of the bundle.
+ * - bundle-end: A bundle has been written.  It's passed the same object along with the sizes of the bundle and the
+ *   duration of the build in milliseconds.
+ * - rebuild: The bundles affected by a change have been rebuilt while watching.  It's passed an object with the file
+ *   that changed, the target and the manifest entries for the bundles that were rebuilt.
+ * - report: The sizes of the bundles of an output format have been measured.  It's passed an object with the target,
+ *   the report and the report formatted as a table.  It isn't emitted when the report option is false.
+ * - warning: A problem was found that doesn't fail the build.  It's passed an object with the type of warning, either
+ *   boundary, duplicate, retention or cache, and the message.
+ * - prune: A version or package bundle that isn't retained has been deleted.  It's passed an object with the path and
+ *   dryRun, which is true when the path would have been deleted.
+ * - serve: The output directory is being served.  It's passed an object with the root folder and the url.
+ * - ready: The files are being watched.
+ * - error: A rebuild failed while watching.  Errors that occur while building reject the promise instead.
+ *
+ * @constructor
+ * @param {Object} [options] - The options for bundling.  These are the same as the options in a configuration file.
+ */
+const Builder = function (options) {
+  EventEmitter.call(this);
+  this.options = options || {};
+  this.stopWatching = null;
+};
+
+util.inherits(Builder, EventEmitter);
+
+/**
+ * Build the bundles once.  The watch and serve options are ignored.
+ *
+ * @returns {Promise} A promise that resolves with the manifest entries for the bundles that were built.
+ */
+Builder.prototype.build = function () {
+  return new Promise((resolve, reject) => {
+    buildBundle.bundle(this.options, this, (err, entries) => {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(entries);
+      }
+    });
+  });
+};
+
+/**
+ * Watch for changes and rebuild the bundles that are affected.  When the serve option is set the output
+ * directory is served as well.
+ *
+ * @returns {Promise} A promise that resolves with this builder once the files are being watched.
+ */
+Builder.prototype.watch = function () {
+  if (this.stopWatching) {
+    return Promise.resolve(this);
+  }
+  return new Promise((resolve, reject) => {
+    buildBundle.watch(this.options, this, (err, stop) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+      this.stopWatching = stop;
+      this.emit('ready');
+      resolve(this);
+    });
+  });
+};
+
+/**
+ * Stop watching for changes and stop serving the output directory.
+ *
+ * @returns {Promise} A promise that resolves once everything has stopped.
+ */
+Builder.prototype.close = function () {
+  const stop = this.stopWatching;
+  this.stopWatching = null;
+  return new Promise(resolve => {
+    if (stop) {
+      stop(resolve);
+    } else {
+      resolve();
+    }
+  });
+};
+
+/**
+ * Build the bundles once.
+ *
+ * @param {Object} [options] - The options for bundling.
+ * @returns {Promise} A promise that resolves with the manifest entries for the bundles that were built.
+ */
+Builder.build = function (options) {
+  return new Builder(options).build();
+};
+
+/**
+ * Watch for changes and rebuild the bundles that are affected.
+ *
+ * @param {Object} [options] - The options for bundling.
+ * @returns {Promise} A promise that resolves with the builder once the files are being watched.  Call its close
+ *                    function to stop watching.
+ */
+Builder.watch = function (options) {
+  return new Builder(options).watch();
+};
+
+module.exports = Builder;
@@ -1,90 +1,430 @@
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
+const util = require('util');
+const EventEmitter = require('events');
+const chokidar = require('chokidar');
 const fto = require('file-tree-object');
+const Manifest = require('./manifest');
+const DevServer = require('./devServer');
+const Debouncer = require('./debouncer');
+const retention = require('./retention');
 
-const appBundleName = 'bundle.js';
-const appBundleZipName = 'bundle.js.gz';
-const packageBundlePattern = /bundle.*\.js$/;
-const packageBundleZipPattern = /bundle.*\.js\.gz$/;
+/**
+ * Escape a value for use in an HTML attribute.
+ *
+ * @ignore
+ * @param {String} value - The value to escape.
+ * @returns {String} The escaped value.
+ */
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format the attributes of an HTML tag.
+ *
+ * @ignore
+ * @param {Array} attributes - Pairs of names and values.  A value of true adds the attribute without a value and
+ *                             attributes without a value are left out.
+ * @returns {String} The attributes separated by spaces.
+ */
+function formatAttributes(attributes) {
+  return attributes
+    .filter(attribute => attribute[1] || attribute[1] === 0)
+    .map(attribute => (attribute[1] === true ? attribute[0] : attribute[0] + '="' + escapeAttribute(attribute[1]) + '"'))
+    .join(' ');
+}
+
+/**
+ * Get the crossorigin attribute for a script.  Scripts with an integrity value need one so the browser can verify them.
+ *
+ * @ignore
+ * @param {Object} script - The script.
+ * @param {Object} [opts] - The options given for the tags.
+ * @returns {String} The value of the attribute or null when it isn't needed.
+ */
+function getCrossOrigin(script, opts) {
+  if (opts && opts.crossorigin) {
+    return opts.crossorigin;
+  }
+  return script.integrity ? 'anonymous' : null;
+}
+
+/**
+ * Join a base url and a path with a single slash.  Unlike path.join this keeps the double slash of full urls such
+ * as https://cdn.example.com.
+ *
+ * @ignore
+ * @param {String} base - The base url or path.
+ * @param {String} urlPath - The path to add to the base.
+ * @returns {String} The url.
+ */
+function joinUrl(base, urlPath) {
+  return base.replace(/\/+$/, '') + '/' + urlPath.replace(/^\/+/, '');
+}
+
+/**
+ * Get the path of a base url without a trailing slash.
+ *
+ * @ignore
+ * @param {String} base - The base url or path.
+ * @returns {String} The path.  It's empty for the root path.
+ */
+function getBasePath(base) {
+  return base.replace(/^([a-z][a-z0-9+.-]*:)?\/\/[^\/]*/i, '').replace(/[?#].*$/, '').replace(/\/+$/, '');
+}
+
+/**
+ * Create a url from a template.
+ *
+ * @ignore
+ * @param {String|Function} template - Either a pattern with placeholders such as {base} and {path} or a function that
+ *                                     is passed the values and returns the url.
+ * @param {Object} values - The values for the placeholders.
+ * @returns {String} The url.
+ */
+function formatUrlTemplate(template, values) {
+  if (typeof template === 'function') {
+    return template(values);
+  }
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in values)) {
+      return match;
+    }
+    return (values[name] === null || typeof values[name] === 'undefined') ? '' : values[name];
+  });
+}
+
+/**
+ * Normalize an app path so it can be used to look up the scripts for the app.
+ *
+ * @ignore
+ * @param {String} appPath - The path for the app.
+ * @returns {String} The normalized path.
+ */
+function normalizeAppPath(appPath) {
+  const normPath = path.join(appPath, '/').toLowerCase();
+  return (normPath.charAt(0) === path.sep) ? normPath.slice(1) : normPath;
+}
+
+/**
+ * Get the encoding to look up scripts with from the value given to the public functions.
+ *
+ * @ignore
+ * @param {String|Boolean} [encoding] - The encoding.  A value of true is the same as gzip.
+ * @returns {String} Either br, gzip or identity.
+ */
+function getEncodingKey(encoding) {
+  if (encoding === true) {
+    return 'gzip';
+  }
+  return Manifest.encodingFallbacks[encoding] ? encoding : 'identity';
+}
+
+/**
+ * Find the bundle file in the given directory with the given encoding.  If there isn't a file with the encoding
+ * the next best encoding is used.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The directory to search.
+ * @param {Boolean} isPackage - Set to true when searching for a package bundle.
+ * @param {String} encoding - The encoding to search for.  Either identity, gzip or br.
+ * @returns {TreeNode} The bundle file or undefined if there isn't one.
+ */
+function findBundleFile(dir, isPackage, encoding) {
+  let result;
+  Manifest.encodingFallbacks[encoding].find(fallback => {
+    const extension = Manifest.encodingExtensions[fallback].replace('.', '\\.');
+    const pattern = new RegExp((isPackage ? 'bundle.*' : '[\\\\/]bundle(\\.[0-9a-f]+)?') + '\\.js' + extension + '$');
+    result = dir.getFilesByPattern(pattern)[0];
+    return result;
+  });
+  return result;
+}
+
+/**
+ * Find the chunk files in the given app directory with the given encoding.  The next best encoding is used
+ * for chunks that weren't emitted with the encoding.
+ *
+ * @ignore
+ * @param {TreeNode} dir - The app directory to search.
+ * @param {String} encoding - The encoding to search for.  Either identity, gzip or br.
+ * @returns {Array} The chunk files.
+ */
+function findChunkFiles(dir, encoding) {
+  return dir.getFilesByPattern(/[\\/]chunk-[^\\/]+\.js$/).map(file => {
+    const fallback = Manifest.encodingFallbacks[encoding].find(item => dir.getByPath(path.basename(file.path) + Manifest.encodingExtensions[item]));
+    return dir.getByPath(path.basename(file.path) + Manifest.encodingExtensions[fallback]);
+  });
+}
+
+/**
+ * Get the best encoding that was emitted for a bundle or chunk in a manifest.
+ *
+ * @ignore
+ * @param {Object} entry - The manifest entry for the bundle or chunk.
+ * @param {String} encoding - The encoding that was requested.  Either identity, gzip or br.
+ * @returns {String} The encoding to use.
+ */
+function getBestEncoding(entry, encoding) {
+  return Manifest.encodingFallbacks[encoding].find(fallback =>
+    fallback === 'identity' || (entry.encodings || []).indexOf(fallback) !== -1);
+}
 
 /**
  * This class is used to manage bundles that have been created through the registered tasks.
  * To create a new instance of BundleManager call the {@link module:build-bundle~createManager|createManager} function
- * defined in the build-bundle module.
+ * defined in the build-bundle module.  When the watch option is set it emits the following events.
+ *
+ * - change: The bundles in the input directory changed and the scripts have been read in again.  It's passed an
+ *   object with the version that is being used.
+ * - error: The bundles couldn't be read in after a change.  The scripts from before the change are kept.
  *
  * @constructor
  * @param {Object} opts - The configuration object.
  * @param {string} opts.inputDir - The root path to the generated bundles.  This should match the outputDir
  *                                 value used with the bundle task.
- * @param {String} opts.baseUrlPath - The base path prepended to the script urls.
+ * @param {String} opts.baseUrlPath - The base path or full url prepended to the script urls.
+ * @param {String} [opts.appsBaseUrl] - The base path or full url for app, lib, framework and chunk bundles.  Defaults to
+ *                                      the baseUrlPath.
+ * @param {String} [opts.packagesBaseUrl] - The base path or full url for package bundles.  Defaults to the baseUrlPath.
+ * @param {Object} [opts.urlTemplates] - Templates for the urls of each kind of bundle keyed by app, lib, framework, package
+ *                                       or chunk.  A template is either a pattern with {base}, {path}, {kind}, {version}
+ *                                       and {hash} placeholders or a function that is passed an object with those values
+ *                                       and returns the url.  Defaults to {base}/{path}.
  * @param {string} [opts.version] - This should be the same value that was provided to the registerTasks function.
+ * @param {String} [opts.frameworkName] - The name of the framework folder.  This is only used when there isn't a
+ *                                        bundles.json manifest.  Defaults to framework.
+ * @param {Boolean|String} [opts.integrity] - When set the script tags will include integrity and crossorigin attributes.
+ *                                            A hash algorithm can be given that is used when there isn't a bundles.json
+ *                                            manifest.  Defaults to sha384.
+ * @param {String} [opts.moduleName] - The name of the folder module bundles were written to.  When it has a bundles.json
+ *                                     manifest the script tags load module bundles in browsers that support them and
+ *                                     legacy bundles in browsers that don't.  Defaults to module.
+ * @param {Boolean} [opts.latestVersion] - When set to true the most recently built version in the input directory is used
+ *                                         instead of the version option.
+ * @param {Boolean} [opts.watch] - When set to true the input directory is watched and the scripts are read in again
+ *                                 once a build has finished writing to it.  Call the close function to stop watching.
+ * @param {Boolean} [opts.strict] - When set to true the functions that look up an app throw an error for apps that
+ *                                  don't exist instead of returning undefined.
  */
 const BundleManager = function (opts) {
+  EventEmitter.call(this);
   this.inputDir = path.join(opts.inputDir);
   this.baseUrlPath = opts.baseUrlPath || '/';
+  this.appsBaseUrl = opts.appsBaseUrl || this.baseUrlPath;
+  this.packagesBaseUrl = opts.packagesBaseUrl || this.baseUrlPath;
+  this.urlTemplates = opts.urlTemplates || {};
   this.version = opts.version || '';
   this.appsName = opts.appsName || 'apps';
   this.packagesName = opts.packagesName || 'packages';
+  this.frameworkName = opts.frameworkName || 'framework';
+  this.integrity = opts.integrity || false;
+  this.moduleName = opts.moduleName || 'module';
+  this.configuredVersion = this.version;
+  this.latestVersion = opts.latestVersion || false;
+  this.strict = opts.strict || false;
+  this.watcher = null;
 
   this.reset();
+  if (opts.watch) {
+    this.watch();
+  }
+};
+
+util.inherits(BundleManager, EventEmitter);
+
+/**
+ * Create the data for a script in the chain of an app.
+ *
+ * @ignore
+ * @param {String} url - The url of the script.
+ * @param {String} integrity - The subresource integrity value or null if integrity values haven't been enabled.
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {String} source - The folder the bundle was built from relative to the apps or packages folder.
+ * @param {Number} size - The size of the file in bytes as it's sent to the browser.
+ * @param {String} [type] - Either module for a module bundle or nomodule for a legacy bundle that has a module
+ *                          bundle to use instead.
+ * @returns {Object} The script.
+ */
+BundleManager.prototype.createScript = function (url, integrity, kind, source, size, type) {
+  return { url, integrity: integrity || null, kind, source, size, type: type || null };
 };
 
 /**
  * Format a script tag.
  *
  * @ignore
- * @param {String} fileType - The type of script.  Either 'apps' or 'packages'.
- * @param {TreeNode|String} file - The file to create a script tag for.
+ * @param {Object} script - The script to create a tag for.
+ * @param {Object} [opts] - The attributes for the tag.  See the getScriptTags function.
  * @returns {String} The script tag.
  */
-BundleManager.prototype.formatScriptTag = function (fileType, file) {
-  return '<script src="' +
-         path.join(this.baseUrlPath,
-                   (fileType === this.packagesName ? '' : this.version),
-                   fileType,
-                   typeof file === 'string' ? file : file.getPathFromRoot())
-          .replace(/\\/g, '/') + '" defer></script>';
+BundleManager.prototype.formatScriptTag = function (script, opts) {
+  const options = opts || {};
+  const defer = (typeof options.defer === 'undefined') ? !options.async : options.defer;
+
+  // module scripts are always deferred
+  return '<script ' + formatAttributes([
+    ['type', script.type === 'module' ? 'module' : null],
+    ['nomodule', script.type === 'nomodule'],
+    ['src', script.url],
+    ['integrity', script.integrity],
+    ['crossorigin', getCrossOrigin(script, options)],
+    ['nonce', options.nonce],
+    ['async', !!options.async],
+    ['defer', script.type !== 'module' && defer]
+  ]) + '></script>';
+};
+
+/**
+ * Format a link tag that hints to the browser that it should fetch a script it's about to run.  Legacy bundles
+ * that have a module bundle to use instead aren't hinted so browsers don't download both builds.
+ *
+ * @ignore
+ * @param {Object} script - The script to create a link tag for.
+ * @param {Object} [opts] - The attributes for the tag.  See the getPreloadTags function.
+ * @returns {String} The link tag or null if the script shouldn't be hinted.
+ */
+BundleManager.prototype.formatPreloadTag = function (script, opts) {
+  if (script.type === 'nomodule') {
+    return null;
+  }
+  return '<link ' + formatAttributes([
+    ['rel', script.type === 'module' ? 'modulepreload' : 'preload'],
+    ['href', script.url],
+    ['as', script.type === 'module' ? null : 'script'],
+    ['integrity', script.integrity],
+    ['crossorigin', getCrossOrigin(script, opts)],
+    ['nonce', opts && opts.nonce]
+  ]) + '>';
+};
+
+/**
+ * Format a link tag that hints to the browser that it should fetch a chunk while it's idle.
+ *
+ * @ignore
+ * @param {String} url - The url of the chunk.
+ * @returns {String} The link tag.
+ */
+BundleManager.prototype.formatPrefetchTag = function (url) {
+  return '<link ' + formatAttributes([['rel', 'prefetch'], ['href', url], ['as', 'script']]) + '>';
+};
+
+/**
+ * Get the path of a bundle file found on disk relative to the input directory.
+ *
+ * @ignore
+ * @param {String} fileType - The type of script.  Either 'apps' or 'packages'.
+ * @param {TreeNode} file - The file.
+ * @returns {String} The path.
+ */
+BundleManager.prototype.getFilePath = function (fileType, file) {
+  return path.join((fileType === this.packagesName ? '' : this.version), fileType, file.getPathFromRoot());
+};
+
+/**
+ * Get the url for a file.  The base url for the kind of bundle is used unless there is a url template for it.
+ *
+ * @ignore
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework, package or chunk.
+ * @param {String} filePath - The path of the file relative to the input directory.
+ * @param {Object} [values] - The version and hash of the bundle when they are known.  The version defaults to the
+ *                            version option.
+ * @returns {String} The url.
+ */
+BundleManager.prototype.getUrl = function (kind, filePath, values) {
+  const base = (kind === 'package') ? this.packagesBaseUrl : this.appsBaseUrl;
+  const urlPath = filePath.replace(/\\/g, '/');
+  const template = this.urlTemplates[kind];
+  if (!template) {
+    return joinUrl(base, urlPath);
+  }
+  return formatUrlTemplate(template, Object.assign({
+    base: base.replace(/\/+$/, ''),
+    path: urlPath,
+    kind,
+    version: this.version,
+    hash: null
+  }, values));
+};
+
+/**
+ * Get the subresource integrity value for a bundle file found on disk.  Zipped files are served with a
+ * Content-Encoding so the value is created from the unzipped bundle which is what the browser verifies.
+ *
+ * @ignore
+ * @param {TreeNode} file - The bundle file.
+ * @returns {String} The integrity value or null if integrity values haven't been enabled.
+ */
+BundleManager.prototype.getFileIntegrity = function (file) {
+  if (!this.integrity) {
+    return null;
+  }
+  const algorithm = (typeof this.integrity === 'string') ? this.integrity : 'sha384';
+  return Manifest.getIntegrity(fs.readFileSync(file.path.replace(/\.(gz|br)$/, '')), algorithm);
+};
+
+/**
+ * Create the data for a bundle file found on disk.
+ *
+ * @ignore
+ * @param {String} fileType - The type of script.  Either 'apps' or 'packages'.
+ * @param {TreeNode} file - The bundle file.
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @returns {Object} The script.
+ */
+BundleManager.prototype.createFileScript = function (fileType, file, kind) {
+  // package bundles are named with the version of the package
+  const packageVersion = /^bundle-(.+?)(\.[0-9a-f]{8})?\.js/.exec(path.basename(file.path));
+  const values = (kind === 'package' && packageVersion) ? { version: packageVersion[1] } : {};
+  const source = path.dirname(file.getPathFromRoot()).replace(/\\/g, '/');
+  return this.createScript(this.getUrl(kind, this.getFilePath(fileType, file), values),
+                           this.getFileIntegrity(file),
+                           kind,
+                           (source === '.') ? '' : source,
+                           fs.statSync(file.path).size);
 };
 
 /**
- * Build a single set of script tags.
+ * Build a single set of scripts.
  *
  * @ignore
- * @param {TreeNode} dir - The app directory to create a tag set for.
+ * @param {TreeNode} dir - The app directory to create a script set for.
  * @param {TreeNode} packDir - The package directory that corresponds to the given dir.
- * @param {Stirng} appName - The name of the app bundle.
- * @param {Array} result - The array to add the resulting script tags to.
+ * @param {String} kind - The kind of bundle in the app directory.  Either app, lib or framework.
+ * @param {String} encoding - The encoding of the bundles to add.  Either identity, gzip or br.
+ * @param {Array} result - The array to add the resulting scripts to.
  * @returns {void}
  */
-BundleManager.prototype.buildScriptTag = function (dir, packDir, appName, result) {
+BundleManager.prototype.buildScriptTag = function (dir, packDir, kind, encoding, result) {
   // add app
-  const app = dir.getByPath(appName);
+  const app = findBundleFile(dir, false, encoding);
   if (app) {
-    result.unshift(this.formatScriptTag(this.appsName, app));
+    result.unshift(this.createFileScript(this.appsName, app, kind));
   }
   // add package
   if (packDir) {
-    const packagePattern = (appName === appBundleZipName) ? packageBundleZipPattern : packageBundlePattern;
-    const packFiles = packDir.getFilesByPattern(packagePattern);
-    if (packFiles.length > 0) {
-      result.unshift(this.formatScriptTag(this.packagesName, packFiles[0]));
+    const packFile = findBundleFile(packDir, true, encoding);
+    if (packFile) {
+      result.unshift(this.createFileScript(this.packagesName, packFile, 'package'));
     }
   }
 };
 
 /**
- * Build all script tags for the given app.
+ * Build all scripts for the given app.
  *
  * @ignore
  * @param {TreeNode} appsDir - The root apps directory.
  * @param {TreeNode} packagesDir - The root packages directory.
- * @param {TreeNode} dir - The app to create tags for.
- * @param {Boolean} zip - When set to true the tags for the zipped bundles will be returned.  Defaults to false.
- * @param {Array} result - The array to add the resulting script tags to.
+ * @param {TreeNode} dir - The app to create scripts for.
+ * @param {String} encoding - The encoding of the bundles to create scripts for.  Either identity, gzip or br.
+ * @param {Array} result - The array to add the resulting scripts to.
  * @returns {void}
  */
-BundleManager.prototype.buildScriptTags = function (appsDir, packagesDir, dir, zip, result) {
+BundleManager.prototype.buildScriptTags = function (appsDir, packagesDir, dir, encoding, result) {
   if (!dir) {
     return;
   }
@@ -93,14 +433,10 @@ BundleManager.prototype.buildScriptTags = function (appsDir, packagesDir, dir, z
 
   // add in framework just before root bundles
   if (isRoot) {
-    const appFwkDir = dir.getByPath('framework');
-    const packageFwkDir = packagesDir ? packagesDir.getByPath('framework') : null;
+    const appFwkDir = dir.getByPath(this.frameworkName);
+    const packageFwkDir = packagesDir ? packagesDir.getByPath(this.frameworkName) : null;
     if (appFwkDir) {
-      if (zip) {
-        this.buildScriptTag(appFwkDir, packageFwkDir, appBundleZipName, result);
-      } else {
-        this.buildScriptTag(appFwkDir, packageFwkDir, appBundleName, result);
-      }
+      this.buildScriptTag(appFwkDir, packageFwkDir, 'framework', encoding, result);
     }
   }
 
@@ -113,27 +449,146 @@ BundleManager.prototype.buildScriptTags = function (appsDir, packagesDir, dir, z
   }
 
   // add in bundles
-  if (zip) {
-    this.buildScriptTag(dir, packDir, appBundleZipName, result);
-  } else {
-    this.buildScriptTag(dir, packDir, appBundleName, result);
-  }
+  this.buildScriptTag(dir, packDir, dir.directories.length ? 'lib' : 'app', encoding, result);
 
   // recurse
   if (!isRoot) {
-    this.buildScriptTags(appsDir, packagesDir, dir.parent, zip, result);
+    this.buildScriptTags(appsDir, packagesDir, dir.parent, encoding, result);
   }
 };
 
 /**
- * Read in the files that make up the bundles.
+ * Get the scripts for the chain of bundles an app in a bundles.json manifest depends on.  The integrity value of the
+ * unzipped bundle is used for compressed bundles as that is what the browser verifies once the content is decoded.
+ *
+ * @ignore
+ * @param {Manifest} manifest - The manifest that has been read in.
+ * @param {String} id - The id of the app.
+ * @param {String} encoding - The encoding of the bundles.  Either identity, gzip or br.
+ * @param {String} [type] - Either module or nomodule when the scripts are for one of a pair of builds.
+ * @returns {Array} The scripts or an empty array if the app isn't in the manifest.
+ */
+BundleManager.prototype.getManifestScripts = function (manifest, id, encoding, type) {
+  const dir = (type === 'module') ? this.moduleName + '/' : '';
+  return manifest.getChain(id).map(bundleId => {
+    // use the best encoding that was emitted for each bundle
+    const entry = manifest.bundles[bundleId];
+    const bestEncoding = getBestEncoding(entry, encoding);
+    const values = { version: entry.version || this.version, hash: entry.hash ? entry.hash.slice(0, 8) : null };
+    return this.createScript(this.getUrl(entry.kind, dir + entry.output + Manifest.encodingExtensions[bestEncoding], values),
+                             this.integrity ? entry.integrity : null,
+                             entry.kind,
+                             entry.source,
+                             (bestEncoding === 'identity') ? entry.size : entry[bestEncoding + 'Size'],
+                             type);
+  });
+};
+
+/**
+ * Build the scripts for all of the apps listed in bundles.json manifests.  When there are both legacy and module
+ * bundles the module and nomodule scripts for each bundle are paired so browsers only load one of them.  The
+ * chunks of the module build are prefetched when there is one as it's what most browsers load.
+ *
+ * @ignore
+ * @param {Manifest} manifest - The manifest for the legacy bundles or null if there isn't one.
+ * @param {Manifest} [moduleManifest] - The manifest for the module bundles.
+ * @returns {void}
+ */
+BundleManager.prototype.loadManifest = function (manifest, moduleManifest) {
+  const apps = {};
+  [manifest, moduleManifest].forEach(item => {
+    if (item) {
+      item.getBundlesByKind('app').forEach(app => {
+        apps[Manifest.getId(app.kind, app.source)] = { app, dir: (item === moduleManifest) ? this.moduleName + '/' : '' };
+      });
+    }
+  });
+
+  Object.keys(apps).forEach(id => {
+    const app = apps[id].app;
+    const key = normalizeAppPath(app.source);
+    this.apps[key] = app.source;
+    Object.keys(Manifest.encodingFallbacks).forEach(encoding => {
+      let scripts = [];
+      if (manifest && moduleManifest) {
+        const moduleScripts = this.getManifestScripts(moduleManifest, id, encoding, 'module');
+        const legacyScripts = this.getManifestScripts(manifest, id, encoding, 'nomodule');
+        for (let i = 0; i < Math.max(moduleScripts.length, legacyScripts.length); i++) {
+          scripts = scripts.concat(moduleScripts[i] || [], legacyScripts[i] || []);
+        }
+      } else if (manifest) {
+        scripts = this.getManifestScripts(manifest, id, encoding);
+      } else {
+        scripts = this.getManifestScripts(moduleManifest, id, encoding, 'module');
+      }
+      this.scripts[encoding][key] = scripts;
+      this.prefetchTags[encoding][key] = (app.chunks || []).map(chunk => this.formatPrefetchTag(this.getUrl('chunk',
+        apps[id].dir + chunk.output + Manifest.encodingExtensions[getBestEncoding(chunk, encoding)],
+        { hash: chunk.hash ? chunk.hash.slice(0, 8) : null })));
+    });
+  });
+};
+
+/**
+ * Read in the files that make up the bundles.  The scripts are replaced all at once so the scripts from before
+ * are kept when they can't be read in.
  *
  * @ignore
  * @returns {void}
  */
 BundleManager.prototype.reset = function () {
-  this.manifest = {};
-  this.manifestZip = {};
+  const previous = { version: this.version, apps: this.apps, scripts: this.scripts, prefetchTags: this.prefetchTags };
+  try {
+    this.load();
+  } catch (err) {
+    Object.assign(this, previous);
+    throw err;
+  }
+};
+
+/**
+ * Get the most recently built version in the input directory.  Versions with a bundles.json manifest are preferred
+ * since the manifest is written once a build has finished.
+ *
+ * @ignore
+ * @returns {String} The version or the version option when there aren't any versions.
+ */
+BundleManager.prototype.findLatestVersion = function () {
+  const versions = retention.findVersions(this.inputDir, {
+    appsName: this.appsName,
+    packagesName: this.packagesName,
+    exclude: [this.moduleName]
+  });
+  const latest = versions.find(version => fs.existsSync(path.join(version.dir, Manifest.fileName))) || versions[0];
+  return latest ? latest.name : this.configuredVersion;
+};
+
+/**
+ * Read in the files that make up the bundles.  When a bundles.json manifest is found it is used
+ * otherwise the bundles are found by scanning the input directory.
+ *
+ * @ignore
+ * @returns {void}
+ */
+BundleManager.prototype.load = function () {
+  this.version = this.latestVersion ? this.findLatestVersion() : this.configuredVersion;
+  this.apps = {};
+  this.scripts = {};
+  this.prefetchTags = {};
+  Object.keys(Manifest.encodingFallbacks).forEach(encoding => {
+    this.scripts[encoding] = {};
+    this.prefetchTags[encoding] = {};
+  });
+
+  const bundlesManifest = new Manifest(this.inputDir, this.version, this.frameworkName);
+  const moduleManifest = new Manifest(path.join(this.inputDir, this.moduleName), this.version, this.frameworkName);
+  const hasBundles = bundlesManifest.load();
+  const hasModules = moduleManifest.load();
+  if (hasBundles || hasModules) {
+    this.loadManifest(hasBundles ? bundlesManifest : null, hasModules ? moduleManifest : null);
+    return;
+  }
+
   const tree = fto.createTreeSync(this.inputDir);
 
   // get apps and packages directories
@@ -157,40 +612,356 @@ BundleManager.prototype.reset = function () {
     }
 
     // bail if this is the framework
-    if (dir.getPathFromRoot() === path.join(this.version, 'framework')) {
+    if (dir.getPathFromRoot() === this.frameworkName) {
       return;
     }
 
-    // unzipped tags
-    const scripts = [];
-    this.buildScriptTags(appsDir, packagesDir, dir, false, scripts);
-    if (scripts.length) {
-      this.manifest[dir.getPathFromRoot().toLowerCase() + path.sep] = scripts;
+    // scripts for each encoding
+    Object.keys(Manifest.encodingFallbacks).forEach(encoding => {
+      const scripts = [];
+      this.buildScriptTags(appsDir, packagesDir, dir, encoding, scripts);
+      if (scripts.length) {
+        this.apps[dir.getPathFromRoot().toLowerCase() + path.sep] = dir.getPathFromRoot().replace(/\\/g, '/');
+        this.scripts[encoding][dir.getPathFromRoot().toLowerCase() + path.sep] = scripts;
+        this.prefetchTags[encoding][dir.getPathFromRoot().toLowerCase() + path.sep] =
+          findChunkFiles(dir, encoding).map(file => this.formatPrefetchTag(this.getUrl('chunk', this.getFilePath(this.appsName, file))));
+      }
+    });
+  }.bind(this), { recurse: true });
+};
+
+/**
+ * Watch the manifests and scripts in the input directory and read in the scripts again once changes to them have
+ * settled.  A change event is emitted when the scripts are different from before and errors from the watcher are
+ * emitted as error events.
+ *
+ * @ignore
+ * @returns {void}
+ */
+BundleManager.prototype.watch = function () {
+  const debouncer = new Debouncer();
+  const extensions = Object.keys(Manifest.encodingExtensions).map(encoding => '.js' + Manifest.encodingExtensions[encoding]);
+  const isWatched = filePath => path.basename(filePath) === Manifest.fileName ||
+    extensions.some(extension => filePath.slice(-extension.length) === extension);
+
+  // chokidar doesn't always pass the stats so folders are only known when it does
+  this.watcher = chokidar.watch(this.inputDir, {
+    ignored: (filePath, stats) => /[\/\\]\./.test(filePath) || Boolean(stats && stats.isFile() && !isWatched(filePath)),
+    ignoreInitial: true,
+    persistent: true
+  });
+  this.watcher.on('error', err => {
+    if (this.listenerCount('error')) {
+      this.emit('error', err);
+    }
+  });
+  this.watcher.on('all', (event, filePath) => {
+    if ((event === 'add' || event === 'change' || event === 'unlink') && !isWatched(filePath)) {
+      return;
     }
+    debouncer.run('reset', () => {
+      if (!this.watcher) {
+        return;
+      }
+      const before = JSON.stringify([this.version, this.scripts, this.prefetchTags]);
+      try {
+        this.reset();
+      } catch (err) {
+        // a manifest that is still being written is read in on the next change
+        if (this.listenerCount('error')) {
+          this.emit('error', err);
+        }
+        return;
+      }
+      if (JSON.stringify([this.version, this.scripts, this.prefetchTags]) !== before) {
+        this.emit('change', { version: this.version });
+      }
+    });
+  });
+};
+
+/**
+ * Stop watching the input directory.
+ *
+ * @returns {void}
+ */
+BundleManager.prototype.close = function () {
+  if (this.watcher) {
+    this.watcher.close();
+    this.watcher = null;
+  }
+};
+
+/**
+ * Get the key that the scripts for an app are stored under.
+ *
+ * @ignore
+ * @param {String} appPath - The path for the app.
+ * @returns {String} The key.
+ * @throws {Error} When the strict option is set and there isn't an app with the given path.
+ */
+BundleManager.prototype.findAppKey = function (appPath) {
+  const key = normalizeAppPath(appPath);
+  if (this.strict && !Object.prototype.hasOwnProperty.call(this.apps, key)) {
+    throw this.createAppError(appPath);
+  }
+  return key;
+};
+
+/**
+ * Create the error for a path that there isn't an app for.  It lists the apps that there are.
+ *
+ * @ignore
+ * @param {String} appPath - The path that was given.
+ * @returns {Error} The error.
+ */
+BundleManager.prototype.createAppError = function (appPath) {
+  const apps = this.getApps();
+  return new Error('There isn\'t an app for the path ' + appPath + ' in ' + this.inputDir +
+                   (this.version ? ' for version ' + this.version : '') + '.  ' +
+                   (apps.length ? 'The apps are ' + apps.join(', ') + '.' : 'There aren\'t any apps.'));
+};
+
+/**
+ * Get the paths of all of the apps.
+ *
+ * @returns {Array} The app paths sorted by name, for example login/oauth.
+ */
+BundleManager.prototype.getApps = function () {
+  return Object.keys(this.apps).map(key => this.apps[key]).sort();
+};
 
-    // zip tags
-    const scriptsZip = [];
-    this.buildScriptTags(appsDir, packagesDir, dir, true, scriptsZip);
-    if (scriptsZip.length) {
-      this.manifestZip[dir.getPathFromRoot().toLowerCase() + path.sep] = scriptsZip;
+/**
+ * Find out if there is an app with the given path.  This never throws an error, even when the strict option is set.
+ *
+ * @param {String} appPath - The path for the app.
+ * @returns {Boolean} true if there is an app with the path.
+ */
+BundleManager.prototype.hasApp = function (appPath) {
+  return Object.prototype.hasOwnProperty.call(this.apps, normalizeAppPath(appPath));
+};
+
+/**
+ * Find the closest app for a url path, such as the path of a page request.  The app with the longest path that
+ * the url path starts with is used, so /login/oauth/callback?code=1 resolves to the login/oauth app.
+ *
+ * @param {String} urlPath - The url path.  The query string and fragment are ignored.
+ * @returns {String} The path of the app or null if there isn't one.
+ * @throws {Error} When the strict option is set and there isn't an app for the url path.
+ */
+BundleManager.prototype.resolveApp = function (urlPath) {
+  const parts = String(urlPath || '').split(/[?#]/)[0].split('/').filter(part => part);
+  for (let i = parts.length; i >= 0; i--) {
+    const key = normalizeAppPath(parts.slice(0, i).join('/'));
+    if (Object.prototype.hasOwnProperty.call(this.apps, key)) {
+      return this.apps[key];
     }
-  }.bind(this), { recurse: true });
+  }
+  if (this.strict) {
+    throw this.createAppError(urlPath);
+  }
+  return null;
+};
+
+/**
+ * Find the file for a url path of a bundle created by the manager.  Package bundles are found under the path of the
+ * packagesBaseUrl and all other bundles under the path of the appsBaseUrl.  Urls created from url templates aren't
+ * resolved.
+ *
+ * @param {String} urlPath - The decoded url path.
+ * @returns {String} The path of the file relative to the input directory or null if the url path isn't for a bundle
+ *                   file of the manager.
+ */
+BundleManager.prototype.resolveFile = function (urlPath) {
+  const bases = [{ base: this.packagesBaseUrl, isPackage: true }, { base: this.appsBaseUrl, isPackage: false }];
+  for (let i = 0; i < bases.length; i++) {
+    const basePath = getBasePath(bases[i].base);
+    if (urlPath.indexOf(basePath + '/') === 0) {
+      const filePath = path.posix.normalize(urlPath.slice(basePath.length + 1));
+      const parts = filePath.split('/');
+      const isPackage = (parts[0] === this.packagesName) || (parts[0] === this.moduleName && parts[1] === this.packagesName);
+      if (parts[0] !== '..' && isPackage === bases[i].isPackage) {
+        return filePath;
+      }
+    }
+  }
+  return null;
+};
+
+/**
+ * Get the chain of bundles that an app depends on.
+ *
+ * @param {String} appPath - The path for the app.
+ * @param {String|Boolean} [encoding] - The encoding of the bundles.  Either br, gzip or identity.  A value of true is
+ *                                      the same as gzip.  Defaults to identity.
+ * @returns {Object} An object with the app path, the version, and the scripts in the order they must be run as they are
+ *                   returned by the getScripts function, or undefined if there isn't an app with the given path.
+ * @throws {Error} When the strict option is set and there isn't an app with the given path.
+ */
+BundleManager.prototype.getChain = function (appPath, encoding) {
+  const scripts = this.getScripts(appPath, encoding);
+  if (!scripts) {
+    return undefined;
+  }
+  return { app: this.apps[normalizeAppPath(appPath)], version: this.version, scripts };
+};
+
+/**
+ * Get the scripts for the given app path as plain data so they can be rendered with a template engine or a library
+ * such as React.
+ *
+ * @param {String} appPath - The path for the app to get scripts for.
+ * @param {String|Boolean} [encoding] - The encoding of the bundles to return scripts for.  Either br, gzip or identity.
+ *                                      When a bundle wasn't emitted with the encoding the next best one is used.
+ *                                      A value of true is the same as gzip.  Defaults to identity.
+ * @returns {Array} Objects with the url, integrity, kind, source and size of each script in the order they must be run, or
+ *                  undefined if there isn't an app with the given path.  The integrity is null unless the integrity
+ *                  option is set and the size is in bytes as the file is sent.  When there are module bundles the type
+ *                  is module or nomodule, otherwise it's null.
+ */
+BundleManager.prototype.getScripts = function (appPath, encoding) {
+  const scripts = this.scripts[getEncodingKey(encoding)][this.findAppKey(appPath)];
+  return scripts ? scripts.map(script => Object.assign({}, script)) : undefined;
 };
 
 /**
  * Get the script tags for the given app path.
  *
  * @param {String} appPath - The path for the app to get script tags for.
- * @param {Boolean} zip - When set to true the tags for the zipped bundles will be returned.  Defaults to false.
+ * @param {String|Boolean} [encoding] - The encoding of the bundles to return tags for.  Either br, gzip or identity.
+ *                                      When a bundle wasn't emitted with the encoding the next best one is used.
+ *                                      A value of true is the same as gzip.  Defaults to identity.
+ * @param {Object} [opts] - Additional options.
+ * @param {Boolean|String} [opts.liveReload] - When set a script tag for the live reload client of the server started with
+ *                                             the --serve option is added.  The url of the server can be given, otherwise
+ *                                             it defaults to http://localhost:8090.
+ * @param {String} [opts.nonce] - A Content Security Policy nonce to add to every script tag.
+ * @param {Boolean} [opts.async] - When set to true the scripts are loaded with the async attribute.
+ * @param {Boolean} [opts.defer] - Set to false to leave out the defer attribute.  Defaults to true unless async is set.
+ *                                 Module scripts are always deferred.
+ * @param {String} [opts.crossorigin] - The value of the crossorigin attribute.  Defaults to anonymous when the tags
+ *                                      include integrity values, otherwise it's left out.
  * @returns {Array} The script tags for the app or undefined if there isn't an app with the given path.
  */
-BundleManager.prototype.getScriptTags = function (appPath, zip) {
-  let normPath = path.join(appPath, '/').toLowerCase();
-  if (normPath.charAt(0) === path.sep) {
-    normPath = normPath.slice(1);
+BundleManager.prototype.getScriptTags = function (appPath, encoding, opts) {
+  const scripts = this.scripts[getEncodingKey(encoding)][this.findAppKey(appPath)];
+  if (!scripts) {
+    return undefined;
   }
 
-  return zip ? this.manifestZip[normPath] : this.manifest[normPath];
+  const tags = scripts.map(script => this.formatScriptTag(script, opts));
+  if (!opts || !opts.liveReload) {
+    return tags;
+  }
+
+  const serverUrl = (typeof opts.liveReload === 'string') ? opts.liveReload : 'http://localhost:' + DevServer.defaultPort;
+  const client = this.createScript(serverUrl.replace(/\/$/, '') + DevServer.clientPath, null, 'client', null, 0);
+  return tags.concat(this.formatScriptTag(client, { nonce: opts.nonce }));
 };
 
+/**
+ * Get link tags that hint to the browser that it should start fetching the whole chain of bundles for an app before
+ * it reaches the script tags.  Module bundles are hinted with modulepreload and the legacy bundles paired with them
+ * are left out.
+ *
+ * @param {String} appPath - The path for the app to get link tags for.
+ * @param {String|Boolean} [encoding] - The encoding of the bundles to return tags for.  Either br, gzip or identity.
+ *                                      A value of true is the same as gzip.  Defaults to identity.
+ * @param {Object} [opts] - Additional options.
+ * @param {String} [opts.nonce] - A Content Security Policy nonce to add to every link tag.
+ * @param {String} [opts.crossorigin] - The value of the crossorigin attribute.  This must match the script tags so the
+ *                                      fetched bundles are used.
+ * @returns {Array} The link tags for the app or undefined if there isn't an app with the given path.
+ */
+BundleManager.prototype.getPreloadTags = function (appPath, encoding, opts) {
+  const scripts = this.scripts[getEncodingKey(encoding)][this.findAppKey(appPath)];
+  if (!scripts) {
+    return undefined;
+  }
+  return scripts.map(script => this.formatPreloadTag(script, opts)).filter(tag => tag);
+};
+
+/**
+ * Render the HTML for an app.  The fragment is made up of the preload hints for the chain of bundles, the script
+ * tags and the prefetch hints for the chunks the app loads on demand.
+ *
+ * @param {String} appPath - The path for the app to render.
+ * @param {Object} [opts] - Additional options.  The liveReload, nonce, async, defer and crossorigin options of the
+ *                          getScriptTags function can be given as well.
+ * @param {String|Boolean} [opts.encoding] - The encoding of the bundles to render.  Either br, gzip or identity.
+ *                                           A value of true is the same as gzip.  Defaults to identity.
+ * @param {Boolean} [opts.preload] - Set to false to leave out the preload hints.
+ * @param {Boolean} [opts.prefetch] - Set to false to leave out the prefetch hints for chunks.
+ * @returns {String} The HTML with a tag on each line or undefined if there isn't an app with the given path.
+ */
+BundleManager.prototype.render = function (appPath, opts) {
+  const options = opts || {};
+  const scriptTags = this.getScriptTags(appPath, options.encoding, options);
+  if (!scriptTags) {
+    return undefined;
+  }
+
+  const preloadTags = (options.preload === false) ? [] : this.getPreloadTags(appPath, options.encoding, options);
+  const prefetchTags = (options.prefetch === false) ? [] : this.getPrefetchTags(appPath, options.encoding) || [];
+  return preloadTags.concat(scriptTags, prefetchTags).join('\n');
+};
+
+/**
+ * Get link tags that hint to the browser that it should fetch the chunks an app loads on demand while it's idle.
+ *
+ * @param {String} appPath - The path for the app to get link tags for.
+ * @param {String|Boolean} [encoding] - The encoding of the chunks to return tags for.  Either br, gzip or identity.
+ *                                      When a chunk wasn't emitted with the encoding the next best one is used.
+ *                                      A value of true is the same as gzip.  Defaults to identity.
+ * @returns {Array} The link tags for the app or undefined if there isn't an app with the given path.
+ */
+BundleManager.prototype.getPrefetchTags = function (appPath, encoding) {
+  return this.prefetchTags[getEncodingKey(encoding)][this.findAppKey(appPath)];
+};
+
+/**
+ * Create a Connect and Express compatible middleware that serves the bundles from the input directory.  Requests
+ * for a bundle get the best compressed file the browser accepts along with ETag and cache headers, and the script
+ * chain of an app is served as JSON when the app path is requested under /__build-bundle/chain/ in the base url path.
+ *
+ * @param {Object} [opts] - Additional options.
+ * @param {Boolean} [opts.sourceMaps] - When set to true source map files are served.  Defaults to false.
+ * @param {Number} [opts.maxAge] - The number of seconds that versioned bundles are cached for.  Defaults to one year.
+ * @returns {Function} The middleware.
+ */
+BundleManager.prototype.middleware = function (opts) {
+  // required here since the middleware module depends on this one
+  return require('./middleware').createMiddleware(this, opts);
+};
+
+/**
+ * Choose the best encoding for bundles from the value of an Accept-Encoding request header.
+ *
+ * @param {String} [acceptEncoding] - The value of the Accept-Encoding header.
+ * @returns {String} The encoding to use.  Either br, gzip or identity.
+ */
+BundleManager.getEncoding = function (acceptEncoding) {
+  const accepted = {};
+  (acceptEncoding || '').split(',').forEach(value => {
+    const parts = value.trim().toLowerCase().split(';');
+    const quality = /^\s*q=([0-9.]+)\s*$/.exec(parts[1] || '');
+    accepted[parts[0].trim()] = quality ? parseFloat(quality[1]) > 0 : true;
+  });
+
+  const isAccepted = encoding => ((encoding in accepted) ? accepted[encoding] : accepted['*'] === true);
+  if (isAccepted('br')) {
+    return 'br';
+  }
+  return isAccepted('gzip') ? 'gzip' : 'identity';
+};
+
+/**
+ * The Builder class that bundles are built with from Node scripts.  It's loaded the first time it's used so servers
+ * that only manage bundles don't load browserify.
+ */
+Object.defineProperty(BundleManager, 'Builder', {
+  enumerable: true,
+  get: () => require('./builder')
+});
+
 module.exports = BundleManager;
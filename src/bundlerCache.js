@@ -0,0 +1,80 @@
+'use strict';
+
+const stream = require('stream');
+
+/**
+ * This class keeps browserify instances alive between builds while watching for changes.  Each instance has
+ * its own module cache so only the modules that have changed are read, transformed and parsed again when
+ * a bundle is rebuilt.
+ *
+ * @constructor
+ */
+const BundlerCache = function () {
+  this.bundlers = {};
+};
+
+/**
+ * Get the browserify instance for a bundle.  A new instance is created when there isn't one for the bundle
+ * or when the signature has changed since the instance was created, such as when files are added to the folder.
+ * The module cache for the bundle is kept either way.
+ *
+ * @param {String} key - Identifies the bundle.  This should be the path of the bundle file.
+ * @param {String} signature - Describes the configuration of the bundle.
+ * @param {Function} create - A function that is passed the options that must be given to browserify and
+ *                            returns a new configured browserify instance.
+ * @returns {Browserify} The browserify instance.
+ */
+BundlerCache.prototype.get = function (key, signature, create) {
+  let item = this.bundlers[key];
+  if (item && item.signature === signature) {
+    return item.bundler;
+  }
+
+  item = {
+    signature,
+    cache: item ? item.cache : {},
+    packageCache: item ? item.packageCache : {},
+    bundler: null
+  };
+  item.bundler = create({ cache: item.cache, packageCache: item.packageCache });
+
+  // record each module as it's read so it doesn't have to be read again, this has to be done before
+  // browserify replaces the names of dependencies with ids so the pipeline is tapped after each reset
+  const record = () => {
+    item.bundler.pipeline.get('deps').push(new stream.Transform({
+      objectMode: true,
+      transform(row, encoding, next) {
+        item.cache[row.file] = { source: row.source, deps: Object.assign({}, row.deps) };
+        next(null, row);
+      }
+    }));
+  };
+  item.bundler.on('reset', record);
+  record();
+
+  this.bundlers[key] = item;
+  return item.bundler;
+};
+
+/**
+ * Remove a changed file from the module cache of every bundle so it will be read again.
+ *
+ * @param {String} file - The path of the file that changed.
+ * @returns {void}
+ */
+BundlerCache.prototype.invalidate = function (file) {
+  Object.keys(this.bundlers).forEach(key => {
+    delete this.bundlers[key].cache[file];
+  });
+};
+
+/**
+ * Remove all of the browserify instances and module caches.
+ *
+ * @returns {void}
+ */
+BundlerCache.prototype.clear = function () {
+  this.bundlers = {};
+};
+
+module.exports = BundlerCache;
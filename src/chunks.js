@@ -0,0 +1,255 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const folders = require('./folders');
+const boundaries = require('./boundaries');
+
+/**
+ * The name app code requires to get the function that loads chunks.
+ */
+const loaderName = 'build-bundle/lazy';
+
+/**
+ * The code for the loader that is added to app bundles with chunks.  The chunks are found next to the app bundle
+ * using the url of the script the loader was evaluated in.  Module scripts don't set the current script so the
+ * app bundle is found by the folder it was written to instead.  When the app bundle was loaded as a compressed file
+ * the chunks are loaded with the same extension.  The chunk map and folder are inserted in place of the __CHUNKS__
+ * and __FOLDER__ markers.
+ *
+ * @ignore
+ */
+const loaderScript = [
+  'var chunks = __CHUNKS__;',
+  'var folder = __FOLDER__;',
+  '',
+  'function findScript() {',
+  '  if (typeof document === \'undefined\') {',
+  '    return null;',
+  '  }',
+  '  if (document.currentScript) {',
+  '    return document.currentScript;',
+  '  }',
+  '  var scripts = document.getElementsByTagName(\'script\');',
+  '  for (var i = scripts.length - 1; i >= 0; i--) {',
+  '    if (scripts[i].type === \'module\' && scripts[i].src.indexOf(\'/\' + folder + \'bundle.\') !== -1) {',
+  '      return scripts[i];',
+  '    }',
+  '  }',
+  '  return null;',
+  '}',
+  '',
+  'var script = findScript();',
+  'var src = script ? script.src : \'\';',
+  'var base = src.replace(/[^\\/]*$/, \'\');',
+  'var suffix = (/\\.js(\\.gz|\\.br)(\\?|#|$)/.exec(src) || [])[1] || \'\';',
+  'var waiting = {};',
+  'var loaded = {};',
+  '',
+  'function load(name, cb) {',
+  '  var chunk = chunks[name];',
+  '  if (!chunk) {',
+  '    setTimeout(function () { cb(new Error(\'Unknown chunk: \' + name)); }, 0);',
+  '    return;',
+  '  }',
+  '  if (loaded[name]) {',
+  '    setTimeout(function () { cb(null, window.require(chunk.id)); }, 0);',
+  '    return;',
+  '  }',
+  '  if (waiting[name]) {',
+  '    waiting[name].push(cb);',
+  '    return;',
+  '  }',
+  '  waiting[name] = [cb];',
+  '',
+  '  var finish = function (err) {',
+  '    var callbacks = waiting[name];',
+  '    var result = null;',
+  '    var error = err;',
+  '    delete waiting[name];',
+  '    if (!error) {',
+  '      try {',
+  '        result = window.require(chunk.id);',
+  '        loaded[name] = true;',
+  '      } catch (requireError) {',
+  '        error = requireError;',
+  '      }',
+  '    }',
+  '    for (var i = 0; i < callbacks.length; i++) {',
+  '      callbacks[i](error, result);',
+  '    }',
+  '  };',
+  '',
+  '  var tag = document.createElement(\'script\');',
+  '  tag.src = base + chunk.url + suffix;',
+  '  tag.async = true;',
+  '  tag.onload = function () { finish(null); };',
+  '  tag.onerror = function () { finish(new Error(\'Could not load chunk: \' + name)); };',
+  '  document.head.appendChild(tag);',
+  '}',
+  '',
+  'module.exports = function (name, cb) {',
+  '  if (cb) {',
+  '    load(name, cb);',
+  '    return undefined;',
+  '  }',
+  '  return new Promise(function (resolve, reject) {',
+  '    load(name, function (err, result) {',
+  '      if (err) {',
+  '        reject(err);',
+  '      } else {',
+  '        resolve(result);',
+  '      }',
+  '    });',
+  '  });',
+  '};',
+  ''
+].join('\n');
+
+/**
+ * Get the name of a chunk from the path of its module.  The path relative to the app folder is used without
+ * the extension and with any characters that can't be used in a file name replaced by dashes.
+ *
+ * @ignore
+ * @param {String} dir - The app folder.
+ * @param {String} file - The path of the module.
+ * @returns {String} The name of the chunk.
+ */
+function getName(dir, file) {
+  return path.relative(dir, file)
+    .replace(/\.js$/, '')
+    .replace(/[^\w-]+/g, '-')
+    .replace(/^-+/, '');
+}
+
+/**
+ * Get the modules that are loaded on demand by the app in the given folder.  These are listed in the lazy property
+ * of the package.js file in the folder as a path, an array of paths, or an object with the name of each chunk
+ * as the keys and the paths as the values.  Paths are relative to the folder.
+ *
+ * @param {TreeNode} dir - The app folder.
+ * @returns {Array} An object with a name and path property for each module.
+ */
+function getLazyModules(dir) {
+  const packageFile = dir.getChildByPath('package.js');
+  const lazy = packageFile ? folders.readInPackage(packageFile).lazy : null;
+  if (!lazy) {
+    return [];
+  }
+
+  let result = null;
+  if (typeof lazy === 'object' && !Array.isArray(lazy)) {
+    result = Object.keys(lazy).map(name => ({ name, path: path.resolve(dir.path, lazy[name]) }));
+  } else {
+    result = [].concat(lazy).map(file => {
+      const filePath = path.resolve(dir.path, file);
+      return { name: getName(dir.path, filePath), path: filePath };
+    });
+  }
+
+  result.forEach((item, index) => {
+    if (!/^[\w-]+$/.test(item.name)) {
+      throw new Error('Invalid chunk name in ' + packageFile.path + ': ' + item.name +
+        '.  Names may only contain letters, numbers, underscores and dashes.');
+    }
+    if (result.findIndex(other => other.name === item.name) !== index) {
+      throw new Error('Duplicate chunk name in ' + packageFile.path + ': ' + item.name + '.');
+    }
+  });
+  return result;
+}
+
+/**
+ * Get the file name for a chunk.
+ *
+ * @param {String} name - The name of the chunk.
+ * @returns {String} The file name.
+ */
+function getFileName(name) {
+  return 'chunk-' + name + '.js';
+}
+
+/**
+ * Find the files in the input directory that the given files require, directly or through other files.  Only
+ * requires of relative paths are followed and files that can't be parsed without a transform aren't searched.
+ *
+ * @ignore
+ * @param {Array} entries - The paths of the files to start from.
+ * @param {String} inputDir - The input directory.
+ * @param {Array} externals - The paths of files that are bundled above the app.  They aren't followed.
+ * @returns {Array} The paths of the files including the entries.
+ */
+function findLocalModules(entries, inputDir, externals) {
+  const found = {};
+  const queue = entries.slice();
+  while (queue.length) {
+    const file = queue.shift();
+    if (!found[file]) {
+      found[file] = true;
+      boundaries.findRequires(fs.readFileSync(file, 'utf8')).forEach(item => {
+        if (!/^[.\/]/.test(item.request)) {
+          return;
+        }
+        let resolved = null;
+        try {
+          resolved = require.resolve(path.resolve(path.dirname(file), item.request));
+        } catch (err) {
+          // browserify will report modules that can't be found
+          return;
+        }
+        const relativePath = path.relative(inputDir, resolved);
+        if (!relativePath.startsWith('..') && !path.isAbsolute(relativePath) && externals.indexOf(resolved) === -1) {
+          queue.push(resolved);
+        }
+      });
+    }
+  }
+  return Object.keys(found);
+}
+
+/**
+ * Find the files that are required by both an app and the modules it loads on demand.  The app bundle exposes these
+ * files so the chunks use the same instances rather than including their own copies.
+ *
+ * @param {Array} apps - The paths of the entry files of the app.
+ * @param {Array} lazy - The chunks of the app as returned by getLazyModules.
+ * @param {String} inputDir - The input directory.
+ * @param {Array} externals - The paths of files that are bundled above the app.
+ * @returns {Array} The sorted paths of the shared files.
+ */
+function findSharedModules(apps, lazy, inputDir, externals) {
+  if (!lazy.length) {
+    return [];
+  }
+  const chunkPaths = lazy.map(chunk => chunk.path);
+  const chunkModules = findLocalModules(chunkPaths, inputDir, externals);
+  return findLocalModules(apps, inputDir, externals)
+    .filter(file => chunkModules.indexOf(file) !== -1 && chunkPaths.indexOf(file) === -1)
+    .sort();
+}
+
+/**
+ * Create the code for the loader that is added to an app bundle.
+ *
+ * @param {Array} chunks - An object for each chunk with a name property, a url property with the file name of the chunk
+ *                         relative to the app bundle, and an id property with the id the chunk exposes its module as.
+ * @param {String} folder - The folder the app bundle is written to relative to the output directory.
+ * @returns {String} The code for the loader.
+ */
+function createLoader(chunks, folder) {
+  const map = {};
+  chunks.forEach(chunk => {
+    map[chunk.name] = { url: chunk.url, id: chunk.id };
+  });
+  return loaderScript
+    .replace('__CHUNKS__', () => JSON.stringify(map))
+    .replace('__FOLDER__', () => JSON.stringify(folder.replace(/\\/g, '/').replace(/\/?$/, '/')));
+}
+
+module.exports = {
+  loaderName,
+  getLazyModules,
+  getFileName,
+  findSharedModules,
+  createLoader
+};
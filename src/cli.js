@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+
+/**
+ * The command line interface for building bundles.
+ *
+ * @module build-bundle/cli
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const config = require('./config');
+const Builder = require('./builder');
+const errorReport = require('./errorReport');
+
+const argsv = require('minimist')(process.argv.slice(2), {
+  string: ['o', 'e', 'v', 'a', 'p', 'c', 'integrity', 'compress', 'mode', 'budget', 'report-file', 'boundaries', 'duplicates',
+           'format', 'module-name', 'retain', 'reporter', 'concurrency',
+           'cache-dir'],
+  boolean: ['w', 'k', 'hash', 'node-env', 'serve', 'analyze', 'check', 'dry-run', 'workers']
+});
+
+/**
+ * Create the bundle options from the command line arguments.  Options that aren't given on the command line
+ * are read in from the configuration file if there is one.
+ *
+ * @ignore
+ * @returns {Object} The bundle options.
+ */
+function getCommandLineOptions() {
+  const result = config.load(argsv.c) || {};
+  const args = {
+    inputDir: argsv._[0],
+    outputDir: argsv.o,
+    emit: argsv.e,
+    format: argsv.format,
+    moduleName: argsv['module-name'],
+    clean: argsv.k ? false : undefined,
+    version: argsv.v,
+    appsName: argsv.a,
+    packagesName: argsv.p,
+    watch: argsv.w || undefined,
+    serve: argsv.serve || undefined,
+    port: argsv.port,
+    hash: argsv.hash || undefined,
+    integrity: argsv.integrity,
+    mode: argsv.mode,
+    nodeEnv: argsv['node-env'] || undefined,
+    compress: argsv.compress,
+    gzipLevel: argsv['gzip-level'],
+    brotliLevel: argsv['brotli-level'],
+    report: (argsv.report === false) ? false : undefined,
+    reportFile: argsv['report-file'],
+    budgets: argsv.budget,
+    analyze: argsv.analyze || undefined,
+    check: argsv.check || undefined,
+    boundaries: argsv.boundaries,
+    duplicates: argsv.duplicates,
+    retain: (typeof argsv.retain === 'undefined') ? undefined : Number(argsv.retain),
+    dryRun: argsv['dry-run'] || undefined,
+    reporter: argsv.reporter,
+    concurrency: (typeof argsv.concurrency === 'undefined') ? undefined : Number(argsv.concurrency),
+    workers: argsv.workers || undefined,
+    cacheDir: argsv['cache-dir']
+  };
+  Object.keys(args).forEach(key => {
+    if (typeof args[key] !== 'undefined') {
+      result[key] = args[key];
+    }
+  });
+
+  // get version from package.json
+  if (argsv.m && !argsv.v) {
+    result.version = (typeof argsv.m === 'string') ?
+      JSON.parse(fs.readFileSync(argsv.m)).version :
+      JSON.parse(fs.readFileSync('./package.json')).version;
+  }
+
+  return result;
+}
+
+/**
+ * Create a builder that writes the size reports, warnings, pruned files and the url it's served at to the console.
+ *
+ * @ignore
+ * @param {Object} options - The bundle options.
+ * @returns {Builder} The builder.
+ */
+function createBuilder(options) {
+  const builder = new Builder(options);
+  const warningNames = {
+    boundary: 'Boundary Warning',
+    duplicate: 'Duplicate Warning',
+    retention: 'Retention Warning',
+    cache: 'Cache Warning'
+  };
+  builder.on('report', event => {
+    if (options.format === 'both') {
+      console.log((event.target === 'module' ? 'Module' : 'Legacy') + ' bundles:');
+    }
+    console.log(event.text);
+  });
+  builder.on('warning', event => console.error(warningNames[event.type] + ': ' + event.message));
+  builder.on('prune', event => console.log((event.dryRun ? 'Would delete ' : 'Deleted ') + path.relative(process.cwd(), event.path)));
+  builder.on('serve', event => console.log('Serving ' + event.root + ' at ' + event.url));
+  return builder;
+}
+
+/**
+ * Write an error to the console.  Bundles that failed are grouped by folder or written as JSON with the json reporter.
+ *
+ * @ignore
+ * @param {Error} err - The error.
+ * @param {String} [reporter] - Either text or json.  Defaults to text.
+ * @returns {void}
+ */
+function reportError(err, reporter) {
+  if (reporter === 'json') {
+    console.log(errorReport.formatJson(errorReport.getFailures(err)));
+  } else if (err.failures) {
+    console.error(errorReport.formatText(err.failures));
+  } else {
+    console.error('Bundle Error: ' + err);
+  }
+}
+
+let cliOptions = null;
+let cliError = null;
+try {
+  cliOptions = getCommandLineOptions();
+} catch (err) {
+  cliError = err;
+}
+
+if (cliError) {
+  //
+  // report an error reading in the options
+  //
+  console.error('Bundle Error: ' + cliError);
+  process.exitCode = 1;
+} else if (argsv._.length > 1 || (!cliOptions.inputDir && !cliOptions.dryRun) || (!cliOptions.outputDir && !cliOptions.check)) {
+  //
+  // print help info if args are missing
+  //
+  console.log('Usage: build-bundle <dir> -o <output directory> [-c <config file>] [-e <app|package|both>]');
+  console.log('                    [-m [<package.json]] [-v <version>] [-a <name>] [-p <name>] [-w] [-k] [--hash]');
+  console.log('                    [--integrity <sha256|sha384|sha512>] [--compress <gzip,br|none>]');
+  console.log('                    [--gzip-level <0-9>] [--brotli-level <0-11>]');
+  console.log('                    [--mode <development|production>] [--node-env] [--serve [--port <port>]]');
+  console.log('                    [--no-report] [--report-file <file>] [--budget <size>] [--analyze]');
+  console.log('                    [--boundaries <error|warn|off>] [--duplicates <error|warn|off>]');
+  console.log('                    [--format <legacy|module|both>] [--module-name <name>] [--retain <n>]');
+  console.log('                    [--reporter <text|json>] [--concurrency <n>] [--workers] [--cache-dir <dir>]');
+  console.log('       build-bundle <dir> --check');
+  console.log('       build-bundle -o <output directory> --retain <n> --dry-run');
+  console.log('');
+  console.log('Options:');
+  console.log('<dir>\t The directory that contains all of the code to bundle.');
+  console.log('-a\t A name to include in the app bundles output path.  Defaults to apps.');
+  console.log('-c\t A configuration file to read options from.  Defaults to bundle.config.js or the buildBundle property');
+  console.log('\t of package.json in the cwd.  Options given on the command line override the configuration file.');
+  console.log('-e\t The type of bundles to emit.  Defaults to both.');
+  console.log('--format\t The output format of the bundles.  Choose from legacy, module or both.  Module bundles are loaded');
+  console.log('\t with type="module" script tags and are written to their own folder.  They have the same browserify wrapper');
+  console.log('\t as legacy bundles and only differ by their transforms and minifier.  Defaults to legacy.');
+  console.log('--module-name\t A name to include in the module bundles output path.  Defaults to module.');
+  console.log('-k\t When this option is specified the output folder will not be deleted before bundles are emitted.');
+  console.log('-m\t Read in the version number from a package.json file.  If a file isn\'t specified the package.json in the cwd will be used.');
+  console.log('-o\t The directory to emit bundles to.');
+  console.log('-p\t A name to include in the package bundles output path.  Defaults to packages.');
+  console.log('-v\t A version number to include in the output path.');
+  console.log('-w\t When present the files specified in the glob pattern(s) will be watched for changes and copied when they do change.');
+  console.log('--serve\t Serve the output directory and watch for changes.  Browsers that load the live reload client');
+  console.log('\t are reloaded when the bundles they use are rebuilt.');
+  console.log('--port\t The port to serve the output directory on.  Defaults to 8090.');
+  console.log('--mode\t The build mode.  Development bundles aren\'t minified, have inline source maps and aren\'t compressed.');
+  console.log('\t Defaults to production.');
+  console.log('--node-env\t Replace references to process.env.NODE_ENV with the build mode.');
+  console.log('--hash\t Include a hash of the content in the file name of each bundle.');
+  console.log('--compress\t A comma separated list of compressed copies to emit.  Choose from gzip and br or none.');
+  console.log('\t Defaults to gzip,br.');
+  console.log('--gzip-level\t The gzip compression level from 0 to 9.');
+  console.log('--brotli-level\t The brotli compression level from 0 to 11.  Defaults to 11.');
+  console.log('--integrity\t The hash algorithm used for subresource integrity values.  Defaults to sha384.');
+  console.log('--no-report\t Don\'t write the sizes of the bundles to the console when the build is done.');
+  console.log('--report-file\t A file to write the size report to as JSON.');
+  console.log('--check\t Check that code only depends on code above it in the folder tree, on the framework folder, or on');
+  console.log('\t npm packages declared in package.js files above it.  No bundles are emitted.');
+  console.log('--boundaries\t What to do during a build when code breaks the rules checked by --check.  Choose from error,');
+  console.log('\t warn or off.  Defaults to warn.');
+  console.log('--duplicates\t What to do when an npm package is in more than one of the bundles loaded by an app, such as');
+  console.log('\t a package bundle and an app bundle below it.  Choose from error, warn or off.  Defaults to warn.');
+  console.log('--analyze\t Write the modules in each bundle and the modules found in more than one bundle to analysis.json');
+  console.log('\t and analysis.html files next to the manifest.');
+  console.log('--budget\t The largest size allowed for each bundle such as 150kb.  Bundles that are larger fail the build.');
+  console.log('--retain\t Keep the given number of the most recently built versions and the package bundles they use.  Older');
+  console.log('\t versions and unused package bundles are deleted after a successful build.  Requires -v or -m.');
+  console.log('--dry-run\t List what --retain would delete without building or deleting anything.');
+  console.log('--reporter\t How errors are written.  Choose from text or json.  The json reporter writes every bundle that');
+  console.log('\t failed with its file, line and column to stdout.  Defaults to text.');
+  console.log('--concurrency\t The largest number of bundles to build at the same time.  Defaults to the number of cores.');
+  console.log('--workers\t Build bundles in worker processes so they are minified on more than one core.  The number of');
+  console.log('\t workers is set by --concurrency.');
+  console.log('--cache-dir\t A folder to keep built bundles in between builds.  Bundles whose files haven\'t changed are');
+  console.log('\t restored from it instead of being built again.');
+  process.exitCode = 1;
+} else if ((cliOptions.watch || cliOptions.serve) && !cliOptions.check && !cliOptions.dryRun) {
+  //
+  // watch for changes
+  //
+  const builder = createBuilder(cliOptions);
+  builder.on('error', err => reportError(err, cliOptions.reporter));
+  builder.watch().catch(err => {
+    reportError(err, cliOptions.reporter);
+    process.exitCode = 1;
+  });
+} else {
+  //
+  // bundle files specified
+  //
+  createBuilder(cliOptions).build()
+    .then(() => {
+      if (cliOptions.check) {
+        console.log('No dependency boundary violations were found.');
+      }
+    })
+    .catch(err => {
+      // the exit code is only set once every bundle has finished
+      reportError(err, cliOptions.reporter);
+      process.exitCode = 1;
+    });
+}
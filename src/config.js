@@ -0,0 +1,142 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Manifest = require('./manifest');
+
+const configFileName = 'bundle.config.js';
+const bundleKinds = ['all', 'app', 'lib', 'framework', 'package'];
+const hookKeys = bundleKinds.concat('legacy', 'module');
+const packageKey = 'buildBundle';
+
+/**
+ * The options that can be set for bundling along with the types of values that are allowed for each one.
+ * Options with a values property are limited to the values listed and object values are limited to
+ * the properties listed in the keys property.
+ */
+const schema = {
+  inputDir: { types: ['string'] },
+  outputDir: { types: ['string'] },
+  emit: { values: ['app', 'package', 'both'] },
+  format: { values: ['legacy', 'module', 'both'] },
+  moduleName: { types: ['string'] },
+  clean: { types: ['boolean'] },
+  version: { types: ['string'] },
+  appsName: { types: ['string'] },
+  packagesName: { types: ['string'] },
+  watch: { types: ['boolean'] },
+  serve: { types: ['boolean'] },
+  port: { types: ['number'] },
+  hash: { types: ['boolean'] },
+  integrity: { values: Manifest.integrityAlgorithms },
+  mode: { values: ['development', 'production'] },
+  nodeEnv: { types: ['boolean'] },
+  compress: { types: ['string', 'array'] },
+  gzipLevel: { types: ['number'] },
+  brotliLevel: { types: ['number'] },
+  appSuffix: { types: ['string'] },
+  frameworkName: { types: ['string'] },
+  ignore: { types: ['string', 'array'] },
+  transforms: { types: ['array', 'object'], keys: hookKeys },
+  plugins: { types: ['array', 'object'], keys: hookKeys },
+  check: { types: ['boolean'] },
+  boundaries: { values: ['error', 'warn', 'off'] },
+  duplicates: { values: ['error', 'warn', 'off'] },
+  analyze: { types: ['boolean'] },
+  report: { types: ['boolean'] },
+  reportFile: { types: ['string'] },
+  budgets: { types: ['number', 'string', 'object'], keys: bundleKinds },
+  retain: { types: ['number'] },
+  dryRun: { types: ['boolean'] },
+  reporter: { values: ['text', 'json'] },
+  concurrency: { types: ['number'] },
+  workers: { types: ['boolean'] },
+  cacheDir: { types: ['string'] }
+};
+
+/**
+ * The options that are paths and will be resolved relative to the configuration file.
+ */
+const pathOptions = ['inputDir', 'outputDir', 'reportFile', 'cacheDir'];
+
+/**
+ * Get the type of a value as it's named in the schema.
+ *
+ * @ignore
+ * @param {*} value - The value to get the type of.
+ * @returns {String} The type of the value.
+ */
+function getType(value) {
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+/**
+ * Validate the given options.
+ *
+ * @param {Object} options - The options to validate.
+ * @returns {Array} A message for each invalid option.  The array will be empty when all of the options are valid.
+ */
+function validate(options) {
+  const errors = [];
+  Object.keys(options || {}).forEach(key => {
+    const value = options[key];
+    const rule = schema[key];
+    if (!rule) {
+      errors.push('Unknown option: ' + key);
+    } else if (typeof value !== 'undefined') {
+      if (rule.values && rule.values.indexOf(value) === -1) {
+        errors.push('Invalid value for option ' + key + ': ' + value + '.  Expected one of ' + rule.values.join(', ') + '.');
+      } else if (rule.types && rule.types.indexOf(getType(value)) === -1) {
+        errors.push('Invalid value for option ' + key + ': ' + value + '.  Expected a ' + rule.types.join(' or ') + '.');
+      } else if (rule.keys && getType(value) === 'object') {
+        Object.keys(value).filter(name => rule.keys.indexOf(name) === -1).forEach(name => {
+          errors.push('Unknown property for option ' + key + ': ' + name + '.  Expected one of ' + rule.keys.join(', ') + '.');
+        });
+      }
+    }
+  });
+  return errors;
+}
+
+/**
+ * Read in the options from a configuration file.  If a file path isn't given then a bundle.config.js file in the
+ * given directory is used.  If that doesn't exist then the buildBundle property of the package.json file in the
+ * given directory is used.  Relative paths in the options are resolved from the folder that contains the file.
+ *
+ * @param {String} [configPath] - The path to the configuration file.
+ * @param {String} [dir] - The directory to look for configuration files in.  Defaults to the current working directory.
+ * @returns {Object} The options that were read in or null if there isn't a configuration file.
+ */
+function load(configPath, dir) {
+  const cwd = path.resolve(dir || '.');
+  let filePath = configPath ? path.resolve(cwd, configPath) : path.join(cwd, configFileName);
+  let options = null;
+
+  if (configPath || fs.existsSync(filePath)) {
+    options = require(filePath);
+    options = options.default || options;
+  } else {
+    filePath = path.join(cwd, 'package.json');
+    if (fs.existsSync(filePath)) {
+      options = JSON.parse(fs.readFileSync(filePath, 'utf8'))[packageKey] || null;
+    }
+  }
+
+  if (!options) {
+    return null;
+  }
+
+  const result = Object.assign({}, options);
+  pathOptions.forEach(key => {
+    if (typeof result[key] === 'string') {
+      result[key] = path.resolve(path.dirname(filePath), result[key]);
+    }
+  });
+  return result;
+}
+
+module.exports = {
+  schema,
+  validate,
+  load
+};
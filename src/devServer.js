@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const Manifest = require('./manifest');
+
+const routePrefix = '/__build-bundle/';
+
+/**
+ * The script that is served to browsers.  It listens for rebuilt bundles and reloads the page when
+ * the page includes a script from the folder of a rebuilt bundle.
+ *
+ * @ignore
+ */
+const clientScript = [
+  '(function () {',
+  '  var script = document.currentScript;',
+  '  var source = new EventSource(script.src.replace(/client\\.js(\\?.*)?$/, \'events\'));',
+  '  source.addEventListener(\'rebuild\', function (event) {',
+  '    var bundles = JSON.parse(event.data);',
+  '    var scripts = document.getElementsByTagName(\'script\');',
+  '    for (var i = 0; i < scripts.length; i++) {',
+  '      for (var j = 0; j < bundles.length; j++) {',
+  '        if (scripts[i].src.indexOf(bundles[j].folder + \'/\') !== -1) {',
+  '          window.location.reload();',
+  '          return;',
+  '        }',
+  '      }',
+  '    }',
+  '  });',
+  '})();',
+  ''
+].join('\n');
+
+/**
+ * This class is used to serve the output directory while watching for changes.  Browsers that load the
+ * client script are notified over Server-Sent Events when bundles have been rebuilt.
+ *
+ * @constructor
+ * @param {Object} opts - The configuration object.
+ * @param {String} opts.root - The directory to serve files from.
+ * @param {Number} [opts.port] - The port to listen on.  Defaults to 8090.
+ */
+const DevServer = function (opts) {
+  this.root = path.resolve(opts.root);
+  this.port = opts.port || DevServer.defaultPort;
+  this.clients = [];
+  this.server = http.createServer(this.handleRequest.bind(this));
+};
+
+/**
+ * The port the server listens on when one isn't given.
+ */
+DevServer.defaultPort = 8090;
+
+/**
+ * The path of the client script on the server.
+ */
+DevServer.clientPath = routePrefix + 'client.js';
+
+/**
+ * Start listening for requests.
+ *
+ * @param {Function} [cb] - Called once the server is listening.  It will be passed an error if one occured.
+ * @returns {void}
+ */
+DevServer.prototype.start = function (cb) {
+  const done = cb || function () {};
+  const onError = err => done(err);
+  this.server.once('error', onError);
+  this.server.listen(this.port, () => {
+    this.server.removeListener('error', onError);
+    done();
+  });
+};
+
+/**
+ * Stop listening for requests and disconnect all browsers.
+ *
+ * @param {Function} [cb] - Called once the server has closed.
+ * @returns {void}
+ */
+DevServer.prototype.close = function (cb) {
+  this.clients.forEach(res => res.end());
+  this.clients = [];
+  this.server.close(cb);
+};
+
+/**
+ * Notify browsers that bundles have been rebuilt.
+ *
+ * @param {Array} entries - The manifest entries for the bundles that were rebuilt.
+ * @returns {void}
+ */
+DevServer.prototype.notify = function (entries) {
+  if (!entries || !entries.length) {
+    return;
+  }
+  const data = JSON.stringify(entries.map(entry => ({
+    kind: entry.kind,
+    source: entry.source,
+    output: entry.output,
+    folder: path.posix.dirname(entry.output)
+  })));
+  this.clients.forEach(res => {
+    res.write('event: rebuild\ndata: ' + data + '\n\n');
+  });
+};
+
+/**
+ * Respond to a request.
+ *
+ * @ignore
+ * @param {IncomingMessage} req - The request.
+ * @param {ServerResponse} res - The response.
+ * @returns {void}
+ */
+DevServer.prototype.handleRequest = function (req, res) {
+  let urlPath = null;
+  try {
+    urlPath = decodeURIComponent(req.url.split('?')[0]);
+  } catch (err) {
+    urlPath = null;
+  }
+
+  // malformed escapes and null bytes can't be mapped to a file
+  if (urlPath === null || urlPath.indexOf('\0') !== -1) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Bad Request');
+    return;
+  }
+
+  if (urlPath === routePrefix + 'events') {
+    // keep the connection open for notifications
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    res.write('retry: 1000\n\n');
+    this.clients.push(res);
+    req.on('close', () => {
+      this.clients = this.clients.filter(client => client !== res);
+    });
+    return;
+  }
+
+  if (urlPath === DevServer.clientPath) {
+    res.writeHead(200, { 'Content-Type': Manifest.contentTypes['.js'], 'Cache-Control': 'no-cache' });
+    res.end(clientScript);
+    return;
+  }
+
+  this.serveFile(urlPath, res);
+};
+
+/**
+ * Serve a file from the root directory.  Compressed files are served with the Content-Type of the
+ * file they were created from along with a Content-Encoding header.
+ *
+ * @ignore
+ * @param {String} urlPath - The path that was requested.
+ * @param {ServerResponse} res - The response.
+ * @returns {void}
+ */
+DevServer.prototype.serveFile = function (urlPath, res) {
+  const filePath = path.join(this.root, path.normalize(urlPath));
+  if (filePath.indexOf(this.root + path.sep) !== 0) {
+    res.writeHead(403);
+    res.end();
+    return;
+  }
+
+  fs.stat(filePath, (err, stat) => {
+    if (err || !stat.isFile()) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+      return;
+    }
+
+    const headers = { 'Cache-Control': 'no-cache', 'Content-Length': stat.size };
+    let extension = path.extname(filePath);
+    const encoding = Object.keys(Manifest.encodingExtensions)
+      .find(item => item !== 'identity' && Manifest.encodingExtensions[item] === extension);
+    if (encoding) {
+      headers['Content-Encoding'] = encoding;
+      headers.Vary = 'Accept-Encoding';
+      extension = path.extname(filePath.slice(0, -extension.length));
+    }
+    headers['Content-Type'] = Manifest.contentTypes[extension] || 'application/octet-stream';
+
+    res.writeHead(200, headers);
+    fs.createReadStream(filePath).pipe(res);
+  });
+};
+
+module.exports = DevServer;
@@ -0,0 +1,224 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const boundaries = require('./boundaries');
+
+/**
+ * Matches the file and line at the start of the annotated message of a browserify parse error.
+ */
+const annotatedPattern = /^\s*(.+):(\d+)\n/;
+
+/**
+ * Matches the message of an error for a file that module-deps couldn't parse.  The line and column acorn reports
+ * are at the end of the message.
+ */
+const parsingPattern = /^Parsing file (.+?): (.*) \((\d+):(\d+)\)$/;
+
+/**
+ * Matches the message of an error for a module that couldn't be resolved.
+ */
+const missingPattern = /Cannot find module '([^']+)' from '([^']+)'/;
+
+/**
+ * Find the require of a module that couldn't be resolved in the files of the folder it was required from.
+ *
+ * @ignore
+ * @param {String} request - The module that was required.
+ * @param {String} dir - The folder the module was required from.
+ * @returns {Object} The file, line and column of the require or null if it couldn't be found.
+ */
+function findMissingRequire(request, dir) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(name => /\.js$/.test(name)).sort();
+  } catch (err) {
+    return null;
+  }
+  for (let i = 0; i < files.length; i++) {
+    const file = path.join(dir, files[i]);
+    const found = boundaries.findRequires(fs.readFileSync(file, 'utf8')).find(item => item.request === request);
+    if (found) {
+      return { file, line: found.line, column: found.column };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the location an error occured at from the properties that browserify, its transforms and the modules it
+ * depends on add to errors.
+ *
+ * @ignore
+ * @param {Error} err - The error.
+ * @returns {Object} The file, line and column.  Values that aren't known are null.
+ */
+function getLocation(err) {
+  const result = { file: null, line: null, column: null };
+  const loc = err.loc || {};
+  const annotated = annotatedPattern.exec(err.annotated || '');
+  const missing = missingPattern.exec(err.message || '');
+  const parsing = parsingPattern.exec(err.message || '');
+
+  if (annotated) {
+    result.file = annotated[1];
+  } else if (err.filename || err.file || err.fileName) {
+    result.file = err.filename || err.file || err.fileName;
+  } else if (parsing) {
+    // acorn counts columns from 0
+    return { file: parsing[1], line: Number(parsing[3]), column: Number(parsing[4]) + 1 };
+  } else if (missing) {
+    return findMissingRequire(missing[1], missing[2]) || { file: missing[2], line: null, column: null };
+  }
+  if (typeof err.line === 'number') {
+    result.line = err.line;
+    result.column = (typeof err.column === 'number') ? err.column : null;
+  } else if (typeof loc.line === 'number') {
+    // acorn and babel count columns from 0
+    result.line = loc.line;
+    result.column = (typeof loc.column === 'number') ? loc.column + 1 : null;
+  }
+  return result;
+}
+
+/**
+ * Get the message of an error without the location that is reported separately.
+ *
+ * @ignore
+ * @param {Error} err - The error.
+ * @returns {String} The message.
+ */
+function getMessage(err) {
+  return String(err.message || err)
+    .replace(/ while parsing file: .*$/, '')
+    .replace(parsingPattern, '$2')
+    .replace(missingPattern, 'Cannot find module \'$1\'')
+    .trim();
+}
+
+/**
+ * Format the location and message of a failure.
+ *
+ * @param {Object} failure - The failure.
+ * @returns {String} The file, line and column of the failure when they are known followed by its message.
+ */
+function formatFailure(failure) {
+  if (!failure.file) {
+    return failure.message;
+  }
+  const file = path.relative(process.cwd(), failure.file).replace(/\\/g, '/');
+  const location = [file, failure.line, failure.column].filter(value => value !== null).join(':');
+  return location + ' ' + failure.message;
+}
+
+/**
+ * Create an error for a bundle that failed to build.  The error has a failures property with a single failure that
+ * records the folder and kind of the bundle along with the file, line and column the error occured at.
+ *
+ * @param {Error} err - The error that occured.
+ * @param {Object} bundle - The bundle that failed.
+ * @param {String} bundle.source - The folder of the bundle relative to the input directory.
+ * @param {String} bundle.kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {String} [bundle.target] - The output format being built.  Either legacy or module.
+ * @returns {Error} The error.
+ */
+function createBundleError(err, bundle) {
+  if (err.failures) {
+    return err;
+  }
+  const location = getLocation(err);
+  const failure = {
+    folder: bundle.source,
+    kind: bundle.kind,
+    target: bundle.target || 'legacy',
+    file: location.file,
+    line: location.line,
+    column: location.column,
+    message: getMessage(err)
+  };
+  const result = new Error(formatFailure(failure));
+  result.failures = [failure];
+  return result;
+}
+
+/**
+ * Get the failures for an error.  Errors that didn't come from a bundle have a single failure with just a message.
+ *
+ * @param {Error} err - The error.
+ * @returns {Array} The failures.
+ */
+function getFailures(err) {
+  if (err.failures) {
+    return err.failures;
+  }
+  return [{ folder: null, kind: null, target: null, file: null, line: null, column: null, message: getMessage(err) }];
+}
+
+/**
+ * Format failures as text grouped by the bundle they occured in.
+ *
+ * @param {Array} failures - The failures.
+ * @returns {String} The report.
+ */
+function formatText(failures) {
+  const groups = [];
+  failures.forEach(failure => {
+    const name = failure.folder === null ? 'build' :
+      (failure.folder || '.') + ' (' + failure.kind + (failure.target === 'module' ? ', module' : '') + ')';
+    let group = groups.find(item => item.name === name);
+    if (!group) {
+      group = { name, lines: [] };
+      groups.push(group);
+    }
+    group.lines.push('  ' + formatFailure(failure));
+  });
+
+  const bundleCount = groups.filter(group => group.name !== 'build').length;
+  const heading = bundleCount ? bundleCount + ' bundle' + (bundleCount === 1 ? '' : 's') + ' failed to build.' : 'The build failed.';
+  return [heading].concat(groups.map(group => '\n' + group.name + '\n' + group.lines.join('\n'))).join('\n');
+}
+
+/**
+ * Format failures as JSON.  File paths are made relative to the current working directory so they can be
+ * used for annotations in CI.
+ *
+ * @param {Array} failures - The failures.
+ * @returns {String} The report.
+ */
+function formatJson(failures) {
+  return JSON.stringify({
+    failures: failures.map(failure => Object.assign({}, failure, {
+      file: failure.file ? path.relative(process.cwd(), failure.file).replace(/\\/g, '/') : null
+    }))
+  }, null, 2);
+}
+
+/**
+ * Combine the errors from bundles that were built at the same time into a single error.  The failures of every
+ * error are kept in the order the errors are given and the message is the text report for all of them.
+ *
+ * @param {Array} errors - The errors.  Empty values are skipped.
+ * @returns {Error} The combined error or null if there aren't any errors.
+ */
+function combineErrors(errors) {
+  const list = errors.filter(err => err);
+  if (!list.length) {
+    return null;
+  }
+  if (list.length === 1 && !list[0].failures) {
+    return list[0];
+  }
+  const failures = list.reduce((result, err) => result.concat(getFailures(err)), []);
+  const result = new Error(formatText(failures));
+  result.failures = failures;
+  return result;
+}
+
+module.exports = {
+  createBundleError,
+  getFailures,
+  formatFailure,
+  formatText,
+  formatJson,
+  combineErrors
+};
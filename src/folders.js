@@ -0,0 +1,105 @@
+'use strict';
+
+/**
+ * Read in a package object.
+ *
+ * @param {String|TreeNode} file - The file to read in the package from.
+ * @returns {Package} The package object that was read in.
+ */
+function readInPackage(file) {
+  let pack = null;
+  if (file.path) {
+    pack = require(file.path);
+  } else {
+    pack = require(file);
+  }
+
+  return pack.default || pack;
+}
+
+/**
+ * Get all of the require values found in packages that are the parent of the given folder.
+ *
+ * @param {TreeNode} dir - The folder to get parent require values for.
+ * @param {Boolean} includeDir - If set to true then any package in the dir folder will be included.
+ * @param {String} frameworkName - The name of the framework folder.
+ * @returns {Array} An array of the require values.
+ */
+function getParentPackageRequires(dir, includeDir, frameworkName) {
+  const result = [];
+  const addToResult = function (packModule) { result.push(packModule.require); };
+  let frameworkFlag = false;
+
+  // traverse up the tree
+  let parent = includeDir ? dir : dir.parent;
+  while (parent) {
+    if (parent.getPathFromRoot() === frameworkName) {
+      frameworkFlag = true;
+    }
+    const parentPack = parent.getChildByPath('package.js');
+    if (parentPack) {
+      const parentPackInfo = readInPackage(parentPack);
+      if (parentPackInfo.modules) {
+        parentPackInfo.modules.forEach(addToResult);
+      }
+    }
+    parent = parent.parent;
+  }
+
+  // exlude packages found in the framework
+  if (!frameworkFlag && dir.getPathFromRoot() !== frameworkName) {
+    const frameworkDir = dir.getRoot().getChildByPath(frameworkName);
+    if (frameworkDir) {
+      const pack = frameworkDir.getChildByPath('package.js');
+      if (pack) {
+        const packData = readInPackage(pack);
+        if (packData.modules) {
+          packData.modules.forEach(addToResult);
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Determine the folder that should be bundled for the given tree node.
+ *
+ * @param {TreeNode} treeNode - The tree node to check.
+ * @param {Object} input - The input generated from the bundle function.
+ * @return {String} The tree node that should be bundled.
+ */
+function getNodeForBundle(treeNode, input) {
+  // any framework files should be bundled with the framework folder
+  if (input.frameworkPattern.test(treeNode.getPathFromRoot())) {
+    return treeNode.getRoot().getChildByPath(input.frameworkName);
+  }
+
+  // any files that fall under an app folder should be bundled with the app
+  let currentNode = treeNode;
+  while (currentNode) {
+    if (currentNode.getChildrenByPattern(input.appsPattern).length > 0) {
+      return currentNode;
+    }
+
+    const packageNode = currentNode.getChildByPath('package.js');
+    if (packageNode) {
+      const packageInfo = require(packageNode.path);
+      if (packageInfo.app) {
+        return currentNode;
+      }
+    }
+
+    currentNode = currentNode.parent;
+  }
+
+  // default to a lib folder
+  return treeNode.isDirectory ? treeNode : treeNode.parent;
+}
+
+module.exports = {
+  readInPackage,
+  getParentPackageRequires,
+  getNodeForBundle
+};
@@ -0,0 +1,288 @@
+'use strict';
+
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const mkdirp = require('mkdirp');
+
+/**
+ * Convert a file system path into a path that uses forward slashes.
+ *
+ * @ignore
+ * @param {String} filePath - The path to convert.
+ * @returns {String} The converted path.
+ */
+function toPosixPath(filePath) {
+  return filePath.replace(/\\/g, '/');
+}
+
+/**
+ * This class is used to read and write the bundles.json manifest that lists all of the bundles
+ * emitted by the build-bundle command line tool.
+ *
+ * @constructor
+ * @param {String} outputDir - The root path to the generated bundles.
+ * @param {String} [version] - The version that app bundles were emitted under.
+ * @param {String} [frameworkName] - The name of the framework folder.  Defaults to framework.
+ */
+const Manifest = function (outputDir, version, frameworkName) {
+  this.outputDir = outputDir;
+  this.version = version || '';
+  this.frameworkName = frameworkName || 'framework';
+  this.filePath = path.join(outputDir, this.version, Manifest.fileName);
+  this.bundles = {};
+};
+
+/**
+ * The name of the manifest file.
+ */
+Manifest.fileName = 'bundles.json';
+
+/**
+ * Get the id for a bundle.  The id is made up of the area the bundle is emitted to, either apps or packages,
+ * followed by the source folder of the bundle.
+ *
+ * @param {String} kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {String} source - The path of the source folder relative to the input directory.
+ * @returns {String} The id for the bundle.
+ */
+Manifest.getId = function (kind, source) {
+  const area = (kind === 'package') ? 'packages' : 'apps';
+  return source ? area + '/' + toPosixPath(source) : area;
+};
+
+/**
+ * Create a path relative to the output directory that uses forward slashes.
+ *
+ * @param {String} outputDir - The root path to the generated bundles.
+ * @param {String} filePath - The path to the file.
+ * @returns {String} The relative path.
+ */
+Manifest.getOutputPath = function (outputDir, filePath) {
+  return toPosixPath(path.relative(outputDir, filePath));
+};
+
+/**
+ * The file extensions for each of the content encodings a bundle can be emitted with.
+ */
+Manifest.encodingExtensions = {
+  identity: '',
+  gzip: '.gz',
+  br: '.br'
+};
+
+/**
+ * The encodings to look for when a bundle is requested with each encoding, in the order they are preferred.
+ */
+Manifest.encodingFallbacks = {
+  identity: ['identity'],
+  gzip: ['gzip', 'identity'],
+  br: ['br', 'gzip', 'identity']
+};
+
+/**
+ * The Content-Type headers that bundles, source maps and manifests are served with.
+ */
+Manifest.contentTypes = {
+  '.js': 'application/javascript; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.json': 'application/json; charset=utf-8'
+};
+
+/**
+ * The hash algorithms that can be used for subresource integrity values.
+ */
+Manifest.integrityAlgorithms = ['sha256', 'sha384', 'sha512'];
+
+/**
+ * Create a subresource integrity value for the given content.
+ *
+ * @param {Buffer} buf - The content to create the integrity value for.
+ * @param {String} [algorithm] - The hash algorithm to use.  Defaults to sha384.
+ * @returns {String} The integrity value.
+ */
+Manifest.getIntegrity = function (buf, algorithm) {
+  const alg = algorithm || 'sha384';
+  return alg + '-' + crypto.createHash(alg).update(buf).digest('base64');
+};
+
+/**
+ * Read in the manifest file.
+ *
+ * @returns {Boolean} true if the manifest file was found and read in, false if it doesn't exist.
+ */
+Manifest.prototype.load = function () {
+  let content = null;
+  try {
+    content = fs.readFileSync(this.filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      this.bundles = {};
+      return false;
+    }
+    throw err;
+  }
+
+  const data = JSON.parse(content);
+  this.bundles = data.bundles || {};
+  this.frameworkName = data.frameworkName || this.frameworkName;
+  return true;
+};
+
+/**
+ * Write the manifest file.  The dependencies for each bundle are updated before the file is written.
+ *
+ * @param {Function} cb - The function to call when the file has been written.  It will be passed an error if one occured.
+ * @returns {void}
+ */
+Manifest.prototype.save = function (cb) {
+  const done = cb || function () {};
+
+  // order the bundles so the output is consistent between builds
+  const bundles = {};
+  Object.keys(this.bundles).sort().forEach(id => {
+    bundles[id] = this.bundles[id];
+    bundles[id].dependencies = this.getChain(id).slice(0, -1);
+  });
+  this.bundles = bundles;
+
+  const content = JSON.stringify({
+    version: this.version,
+    frameworkName: this.frameworkName,
+    bundles: this.bundles
+  }, null, 2);
+  mkdirp(path.dirname(this.filePath), (dirError) => {
+    if (dirError) {
+      done(dirError);
+    } else {
+      fs.writeFile(this.filePath, content, done);
+    }
+  });
+};
+
+/**
+ * Add a bundle to the manifest.  Any bundle with the same id will be replaced.
+ *
+ * @param {Object} entry - The bundle to add.
+ * @param {String} entry.kind - The kind of bundle.  Either app, lib, framework or package.
+ * @param {String} entry.source - The path of the source folder relative to the input directory.
+ * @param {String} entry.output - The path of the bundle file relative to the output directory.
+ * @param {Number} entry.size - The size of the bundle in bytes.
+ * @param {String} entry.hash - A hash of the bundle content.
+ * @param {String} entry.integrity - The subresource integrity value for the bundle.
+ * @param {Array} entry.encodings - The compressed encodings emitted for the bundle.  For each encoding there will be
+ *                                  a size and integrity property prefixed with the encoding such as gzipSize and brIntegrity.
+ * @returns {void}
+ */
+Manifest.prototype.add = function (entry) {
+  entry.source = toPosixPath(entry.source);
+  this.bundles[Manifest.getId(entry.kind, entry.source)] = entry;
+};
+
+/**
+ * Remove all bundles that match the given test.
+ *
+ * @param {Function} test - A function that is passed a bundle and returns true if it should be removed.
+ * @returns {void}
+ */
+Manifest.prototype.remove = function (test) {
+  Object.keys(this.bundles).forEach(id => {
+    if (test(this.bundles[id])) {
+      delete this.bundles[id];
+    }
+  });
+};
+
+/**
+ * Get the bundles that must be loaded for the bundle with the given id in the order they must be loaded.
+ * Package bundles only depend on the package bundles above them while all other bundles depend on all
+ * of the bundles above them including the framework bundles.
+ *
+ * @param {String} id - The id of the bundle to get the chain for.
+ * @returns {Array} The ids of the bundles in load order.  The last id will be the given id.
+ */
+Manifest.prototype.getChain = function (id) {
+  const entry = this.bundles[id];
+  if (!entry) {
+    return [];
+  }
+
+  const result = [];
+  const appendBundle = (kind, source) => {
+    const bundleId = Manifest.getId(kind, source);
+    if (this.bundles[bundleId] && result.indexOf(bundleId) === -1) {
+      result.push(bundleId);
+    }
+  };
+
+  // walk down from the root folder to the folder of the bundle
+  const parts = entry.source ? entry.source.split('/') : [];
+  for (let i = 0; i <= parts.length; i++) {
+    const folder = parts.slice(0, i).join('/');
+    appendBundle('package', folder);
+
+    // framework bundles come just after the root package bundle
+    if (i === 0) {
+      appendBundle('package', this.frameworkName);
+      if (entry.kind !== 'package') {
+        appendBundle('app', this.frameworkName);
+      }
+    }
+
+    if (entry.kind !== 'package') {
+      appendBundle('app', folder);
+    }
+  }
+
+  // nothing after the bundle itself is a dependency
+  return result.slice(0, result.indexOf(id) + 1);
+};
+
+/**
+ * Get all of the bundles of the given kind.
+ *
+ * @param {String} kind - The kind of bundles to get.
+ * @returns {Array} The bundles of the given kind.
+ */
+Manifest.prototype.getBundlesByKind = function (kind) {
+  return Object.keys(this.bundles)
+    .filter(id => this.bundles[id].kind === kind)
+    .map(id => this.bundles[id]);
+};
+
+/**
+ * Find the npm packages that are included in more than one of the bundles loaded by an app.  A package is only
+ * reported once for each set of bundles it's found in, along with all of the apps that load those bundles.
+ *
+ * @returns {Array} The duplicated packages.  Each one has a name property, a bundles property with the id of each
+ *                  bundle and the version of the package in it, and an apps property with the ids of the apps.
+ */
+Manifest.prototype.getDuplicatePackages = function () {
+  const found = {};
+  Object.keys(this.bundles)
+    .filter(id => this.bundles[id].kind === 'app')
+    .sort()
+    .forEach(appId => {
+      const byName = {};
+      this.getChain(appId).forEach(bundleId => {
+        (this.bundles[bundleId].packages || []).forEach(item => {
+          const index = item.lastIndexOf('@');
+          const name = item.slice(0, index);
+          byName[name] = byName[name] || [];
+          byName[name].push({ id: bundleId, version: item.slice(index + 1) });
+        });
+      });
+
+      Object.keys(byName)
+        .filter(name => byName[name].length > 1)
+        .forEach(name => {
+          const key = name + ' ' + byName[name].map(item => item.id).join(' ');
+          found[key] = found[key] || { name, bundles: byName[name], apps: [] };
+          found[key].apps.push(appId);
+        });
+    });
+
+  return Object.keys(found).sort().map(key => found[key]);
+};
+
+module.exports = Manifest;
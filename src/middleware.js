@@ -0,0 +1,221 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const BundleManager = require('./bundleManager');
+const Manifest = require('./manifest');
+
+/**
+ * The path under the base url that the script chain of an app is served from.
+ */
+const chainPath = '/__build-bundle/chain/';
+
+/**
+ * The longest time in seconds that browsers and proxies are told to cache versioned bundles.
+ */
+const defaultMaxAge = 31536000;
+
+/**
+ * Matches the content hash added to file names by the --hash option and the version added to package bundles.
+ */
+const versionedNamePattern = /^bundle(-[^/]+|\.[0-9a-f]{8})\.js$/;
+
+/**
+ * Get the decoded path of a request.
+ *
+ * @ignore
+ * @param {IncomingMessage} req - The request.
+ * @returns {String} The path or null if it isn't valid.
+ */
+function getUrlPath(req) {
+  let urlPath = null;
+  try {
+    // express and connect remove the path an app is mounted at from req.url
+    urlPath = decodeURIComponent(url.parse(req.originalUrl || req.url).pathname || '/');
+  } catch (err) {
+    return null;
+  }
+
+  // a null byte can't be part of a file path
+  return (urlPath.indexOf('\0') === -1) ? urlPath : null;
+}
+
+/**
+ * Find out if a bundle is stored under a path that changes whenever its content does, so it can be cached forever.
+ *
+ * @ignore
+ * @param {String} relativePath - The path of the bundle relative to the input directory.
+ * @param {BundleManager} manager - The bundle manager.
+ * @returns {Boolean} true if the path is versioned.
+ */
+function isVersioned(relativePath, manager) {
+  const parts = relativePath.split('/').filter(part => part);
+  if (parts[0] === manager.moduleName) {
+    parts.shift();
+  }
+  const fileName = parts[parts.length - 1].replace(/\.(gz|br|map)$/, '');
+  if (versionedNamePattern.test(fileName)) {
+    return true;
+  }
+  return !!manager.version && parts[0] === manager.version && parts[1] === manager.appsName;
+}
+
+/**
+ * Send the headers for a response.  The body is left out for HEAD requests.
+ *
+ * @ignore
+ * @param {IncomingMessage} req - The request.
+ * @param {ServerResponse} res - The response.
+ * @param {Number} status - The status code.
+ * @param {Object} headers - The headers.
+ * @param {String} [body] - The body of the response.
+ * @returns {void}
+ */
+function send(req, res, status, headers, body) {
+  res.writeHead(status, headers);
+  res.end(req.method === 'HEAD' ? undefined : body);
+}
+
+/**
+ * Respond with the script chain of an app as JSON.
+ *
+ * @ignore
+ * @param {IncomingMessage} req - The request.
+ * @param {ServerResponse} res - The response.
+ * @param {BundleManager} manager - The bundle manager.
+ * @param {String} appPath - The path of the app.
+ * @returns {void}
+ */
+function serveChain(req, res, manager, appPath) {
+  const query = url.parse(req.originalUrl || req.url, true).query;
+  const encoding = Manifest.encodingFallbacks[query.encoding] ? query.encoding :
+    BundleManager.getEncoding(req.headers['accept-encoding']);
+  const scripts = manager.hasApp(appPath) ? manager.getScripts(appPath, encoding) : null;
+  const headers = { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache', Vary: 'Accept-Encoding' };
+
+  if (!scripts) {
+    send(req, res, 404, headers, JSON.stringify({ error: 'There isn\'t an app with the path ' + appPath + '.' }));
+    return;
+  }
+  send(req, res, 200, headers, JSON.stringify({ app: appPath, encoding, scripts }));
+}
+
+/**
+ * Find the file to serve for a bundle.  Requests for a plain bundle are given the best compressed file the
+ * browser accepts while requests for a compressed file are given that file.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the requested file.
+ * @param {String} encoding - The best encoding the browser accepts.  Either br, gzip or identity.
+ * @param {Function} cb - Called with the file path, its stats and encoding, and whether the encoding was negotiated,
+ *                        or with nothing if there isn't a file to serve.
+ * @returns {void}
+ */
+function findFile(filePath, encoding, cb) {
+  const requested = Object.keys(Manifest.encodingExtensions)
+    .find(item => item !== 'identity' && path.extname(filePath) === Manifest.encodingExtensions[item]);
+  const negotiated = !requested && path.extname(filePath) === '.js';
+  const candidates = negotiated ? Manifest.encodingFallbacks[encoding] : [requested || 'identity'];
+
+  const next = index => {
+    if (index === candidates.length) {
+      cb();
+      return;
+    }
+    const candidatePath = negotiated ? filePath + Manifest.encodingExtensions[candidates[index]] : filePath;
+    fs.stat(candidatePath, (err, stat) => {
+      if (err || !stat.isFile()) {
+        next(index + 1);
+      } else {
+        cb(candidatePath, stat, candidates[index], negotiated);
+      }
+    });
+  };
+  next(0);
+}
+
+/**
+ * Create a Connect and Express compatible middleware that serves the bundles and packages that a bundle manager
+ * creates script tags for.  Requests outside of the base url paths of the manager are passed on.
+ *
+ * @param {BundleManager} manager - The bundle manager to serve the bundles of.
+ * @param {Object} [opts] - Additional options.
+ * @param {Boolean} [opts.sourceMaps] - When set to true source map files are served.  Defaults to false.
+ * @param {Number} [opts.maxAge] - The number of seconds that versioned bundles are cached for.  Defaults to one year.
+ * @returns {Function} The middleware.
+ */
+function createMiddleware(manager, opts) {
+  const options = opts || {};
+  const root = path.resolve(manager.inputDir);
+  const maxAge = (typeof options.maxAge === 'undefined') ? defaultMaxAge : options.maxAge;
+
+  return function (req, res, next) {
+    const done = next || (() => send(req, res, 404, { 'Content-Type': 'text/plain' }, 'Not Found'));
+    const urlPath = getUrlPath(req);
+    if ((req.method !== 'GET' && req.method !== 'HEAD') || urlPath === null) {
+      done();
+      return;
+    }
+
+    // the base can be a full url
+    const chainUrlPath = (url.parse(manager.baseUrlPath).pathname || '/').replace(/\/+$/, '') + chainPath;
+    if (urlPath.indexOf(chainUrlPath) === 0) {
+      serveChain(req, res, manager, urlPath.slice(chainUrlPath.length));
+      return;
+    }
+
+    // only bundles are served from the base urls of the app and package bundles
+    const relativePath = manager.resolveFile(urlPath);
+    const isMap = /\.js\.map$/.test(relativePath || '');
+    if (!relativePath || (!/\.js(\.gz|\.br)?$/.test(relativePath) && !(isMap && options.sourceMaps))) {
+      done();
+      return;
+    }
+    const filePath = path.join(root, relativePath);
+    if (filePath.indexOf(root + path.sep) !== 0) {
+      done();
+      return;
+    }
+
+    findFile(filePath, BundleManager.getEncoding(req.headers['accept-encoding']), (found, stat, encoding, negotiated) => {
+      if (!found) {
+        done();
+        return;
+      }
+
+      const etag = 'W/"' + stat.size.toString(16) + '-' + stat.mtime.getTime().toString(16) + '"';
+      const headers = {
+        'Content-Type': Manifest.contentTypes[isMap ? '.map' : '.js'],
+        'Cache-Control': isVersioned(relativePath, manager) ? 'public, max-age=' + maxAge + ', immutable' : 'no-cache',
+        ETag: etag
+      };
+      if (encoding !== 'identity') {
+        headers['Content-Encoding'] = encoding;
+      }
+      if (negotiated) {
+        headers.Vary = 'Accept-Encoding';
+      }
+
+      if (req.headers['if-none-match'] === etag) {
+        send(req, res, 304, headers);
+        return;
+      }
+
+      headers['Content-Length'] = stat.size;
+      if (req.method === 'HEAD') {
+        send(req, res, 200, headers);
+        return;
+      }
+      res.writeHead(200, headers);
+      fs.createReadStream(found)
+        .on('error', err => res.destroy(err))
+        .pipe(res);
+    });
+  };
+}
+
+module.exports = {
+  chainPath,
+  createMiddleware
+};
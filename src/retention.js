@@ -0,0 +1,147 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const Manifest = require('./manifest');
+
+/**
+ * Matches the files written for a package bundle.  The first group is the path of the bundle without
+ * the extension of its source map or compressed copies.
+ */
+const packageFilePattern = /^(.*[\\/]bundle[^\\/]*\.js)(\.map|\.gz|\.br)?$/;
+
+/**
+ * Get the time a version was last built.  The time the manifest was written is used when there is one.
+ *
+ * @ignore
+ * @param {String} dir - The folder of the version.
+ * @returns {Number} The time in milliseconds.
+ */
+function getBuildTime(dir) {
+  const manifestPath = path.join(dir, Manifest.fileName);
+  return fs.statSync(fs.existsSync(manifestPath) ? manifestPath : dir).mtime.getTime();
+}
+
+/**
+ * Find the versions that have been built in an output directory.  A version is a folder in the output directory
+ * that has a manifest or an apps folder in it.
+ *
+ * @param {String} outputDir - The root path to the generated bundles.
+ * @param {Object} opts - The options.
+ * @param {String} opts.appsName - The name of the folder for app output.
+ * @param {String} opts.packagesName - The name of the folder for package output.
+ * @param {Array} [opts.exclude] - The names of folders that aren't versions.
+ * @returns {Array} The versions with the most recently built first.  Each one has a name, dir and time property.
+ */
+function findVersions(outputDir, opts) {
+  if (!fs.existsSync(outputDir)) {
+    return [];
+  }
+  return fs.readdirSync(outputDir)
+    .filter(name => name !== opts.packagesName && (opts.exclude || []).indexOf(name) === -1)
+    .map(name => ({ name, dir: path.join(outputDir, name) }))
+    .filter(version => fs.statSync(version.dir).isDirectory() &&
+      (fs.existsSync(path.join(version.dir, Manifest.fileName)) || fs.existsSync(path.join(version.dir, opts.appsName))))
+    .map(version => Object.assign(version, { time: getBuildTime(version.dir) }))
+    .sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Find all of the files in a folder and the folders below it.
+ *
+ * @ignore
+ * @param {String} dir - The folder to search.
+ * @returns {Array} The paths of the files.
+ */
+function findFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  let result = [];
+  fs.readdirSync(dir).forEach(name => {
+    const filePath = path.join(dir, name);
+    if (fs.statSync(filePath).isDirectory()) {
+      result = result.concat(findFiles(filePath));
+    } else {
+      result.push(filePath);
+    }
+  });
+  return result;
+}
+
+/**
+ * Find the versioned app outputs and package bundles that are no longer needed.  The given number of the most
+ * recently built versions are kept along with the package bundles their manifests refer to.  When a kept version
+ * doesn't have a manifest it isn't known which package bundles it uses so none of them are pruned.
+ *
+ * @param {String} outputDir - The root path to the generated bundles.
+ * @param {Object} opts - The options.
+ * @param {Number} opts.retain - The number of versions to keep.
+ * @param {String} [opts.version] - The version that was just built.  It's always kept.
+ * @param {String} [opts.appsName] - The name of the folder for app output.  Defaults to apps.
+ * @param {String} [opts.packagesName] - The name of the folder for package output.  Defaults to packages.
+ * @param {Array} [opts.exclude] - The names of other folders in the output directory that don't hold versions.
+ * @returns {Object} The result.  It has a versions property with the names of the versions that are kept, a remove
+ *                   property with the paths of the folders and files to delete, and a warnings property with messages
+ *                   about anything that couldn't be pruned safely.
+ */
+function getPrunable(outputDir, opts) {
+  const options = Object.assign({ appsName: 'apps', packagesName: 'packages' }, opts);
+  const versions = findVersions(outputDir, options);
+
+  // the version that was just built is kept even if an older version was written later
+  const current = versions.filter(version => version.name === options.version);
+  const kept = current.concat(versions.filter(version => version.name !== options.version)).slice(0, options.retain);
+  const result = {
+    versions: kept.map(version => version.name),
+    remove: versions.filter(version => kept.indexOf(version) === -1).map(version => version.dir),
+    warnings: []
+  };
+
+  // keep the package bundles that are referenced by the versions that are kept, a version whose manifest doesn't
+  // list any package bundles may still load all of them
+  const referenced = {};
+  const unknown = kept.filter(version => {
+    const manifest = new Manifest(outputDir, version.name);
+    if (!manifest.load()) {
+      return true;
+    }
+    const packages = manifest.getBundlesByKind('package');
+    packages.forEach(entry => {
+      referenced[path.join(outputDir, entry.output)] = true;
+    });
+    return !packages.length;
+  });
+  if (unknown.length) {
+    result.warnings.push('Package bundles were not pruned because ' + unknown.map(version => version.name).join(', ') +
+      ' doesn\'t have a ' + Manifest.fileName + ' manifest that lists its package bundles.');
+    return result;
+  }
+
+  findFiles(path.join(outputDir, options.packagesName)).forEach(file => {
+    const match = packageFilePattern.exec(file);
+    if (match && !referenced[match[1]]) {
+      result.remove.push(file);
+    }
+  });
+  return result;
+}
+
+/**
+ * Delete the folders and files found by the getPrunable function.
+ *
+ * @param {Array} paths - The paths of the folders and files to delete.
+ * @returns {void}
+ */
+function prune(paths) {
+  if (paths.length) {
+    del.sync(paths);
+  }
+}
+
+module.exports = {
+  findVersions,
+  getPrunable,
+  prune
+};
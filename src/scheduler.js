@@ -0,0 +1,48 @@
+'use strict';
+
+/**
+ * This class limits the number of tasks that run at the same time.  Tasks that are added once the limit
+ * has been reached wait for a running task to finish and are started in the order they were added.
+ *
+ * @constructor
+ * @param {Number} [limit] - The largest number of tasks to run at the same time.  Defaults to no limit.
+ */
+const Scheduler = function (limit) {
+  this.limit = limit || Infinity;
+  this.running = 0;
+  this.queue = [];
+};
+
+/**
+ * Add a task to run.
+ *
+ * @param {Function} task - The task to run.  It's passed a function that must be called once the task has finished.
+ * @returns {void}
+ */
+Scheduler.prototype.run = function (task) {
+  this.queue.push(task);
+  this.next();
+};
+
+/**
+ * Start the tasks that are waiting while there is room for them.
+ *
+ * @ignore
+ * @returns {void}
+ */
+Scheduler.prototype.next = function () {
+  while (this.running < this.limit && this.queue.length) {
+    const task = this.queue.shift();
+    let finished = false;
+    this.running++;
+    task(() => {
+      if (!finished) {
+        finished = true;
+        this.running--;
+        this.next();
+      }
+    });
+  }
+};
+
+module.exports = Scheduler;
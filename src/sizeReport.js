@@ -0,0 +1,226 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Manifest = require('./manifest');
+
+const units = {
+  b: 1,
+  kb: 1024,
+  mb: 1024 * 1024
+};
+
+/**
+ * Convert a size into a number of bytes.
+ *
+ * @param {Number|String} value - Either a number of bytes or a string with an optional unit of b, kb or mb such as 150kb.
+ * @returns {Number} The number of bytes.
+ */
+function parseSize(value) {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb)?\s*$/i.exec(String(value));
+  if (!match) {
+    throw new Error('Invalid size: ' + value + '.  Expected a number of bytes or a size such as 150kb.');
+  }
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Format a number of bytes so it can be read easily.
+ *
+ * @param {Number} bytes - The number of bytes.
+ * @returns {String} The formatted size or a dash if there isn't a size.
+ */
+function formatSize(bytes) {
+  if (typeof bytes !== 'number') {
+    return '-';
+  }
+  const value = Math.abs(bytes);
+  if (value < units.kb) {
+    return bytes + ' B';
+  }
+  if (value < units.mb) {
+    return (bytes / units.kb).toFixed(1) + ' kB';
+  }
+  return (bytes / units.mb).toFixed(2) + ' MB';
+}
+
+/**
+ * Format the change in size from the previous build.
+ *
+ * @ignore
+ * @param {Object} item - The item from the report.
+ * @returns {String} The formatted change.
+ */
+function formatDelta(item) {
+  if (item.delta === null) {
+    return 'new';
+  }
+  return (item.delta > 0 ? '+' : '') + formatSize(item.delta);
+}
+
+/**
+ * Get the limit for a kind of bundle from a budget.
+ *
+ * @ignore
+ * @param {Number|String|Object} budget - Either a limit for all bundles or an object with an all property and a
+ *                                        property for each kind of bundle, app, lib, framework or package.
+ * @param {String} kind - The kind of bundle.
+ * @returns {Number|String} The limit or undefined if there isn't one.
+ */
+function getLimit(budget, kind) {
+  if (budget && typeof budget === 'object') {
+    return (typeof budget[kind] !== 'undefined') ? budget[kind] : budget.all;
+  }
+  return budget;
+}
+
+/**
+ * Get the budget set in the package.js file of the given folder.
+ *
+ * @ignore
+ * @param {String} inputDir - The folder that was bundled.
+ * @param {String} source - The path of the folder for the bundle relative to the input directory.
+ * @returns {Number|String|Object} The budget or undefined if there isn't one.
+ */
+function getFolderBudget(inputDir, source) {
+  const packageFile = path.join(inputDir, source, 'package.js');
+  if (!fs.existsSync(packageFile)) {
+    return undefined;
+  }
+  const pack = require(packageFile);
+  return (pack.default || pack).budget;
+}
+
+/**
+ * Read in the manifest from the last build.  When there isn't a manifest for the given version the most recently
+ * written manifest for another version is used.
+ *
+ * @param {String} outputDir - The root path to the generated bundles.
+ * @param {String} [version] - The version that app bundles are emitted under.
+ * @param {String} [frameworkName] - The name of the framework folder.
+ * @param {Array} [exclude] - The names of folders in the output directory that don't hold versions.
+ * @returns {Manifest} The manifest or null if there isn't one.
+ */
+function loadPrevious(outputDir, version, frameworkName, exclude) {
+  const manifest = new Manifest(outputDir, version, frameworkName);
+  if (manifest.load()) {
+    return manifest;
+  }
+
+  let latest = null;
+  let latestTime = 0;
+  const names = fs.existsSync(outputDir) ? [''].concat(fs.readdirSync(outputDir)) : [];
+  names.filter(name => (exclude || []).indexOf(name) === -1).forEach(name => {
+    const candidate = new Manifest(outputDir, name, frameworkName);
+    if (fs.existsSync(candidate.filePath)) {
+      const time = fs.statSync(candidate.filePath).mtime.getTime();
+      if (time > latestTime) {
+        latest = candidate;
+        latestTime = time;
+      }
+    }
+  });
+
+  if (latest) {
+    latest.load();
+  }
+  return latest;
+}
+
+/**
+ * Create a report of the sizes of the given bundles.
+ *
+ * @param {Array} entries - The manifest entries for the bundles that were emitted.
+ * @param {Manifest} [previous] - The manifest from the last build.  It's used to find the change in size of each bundle.
+ * @param {Object} opts - The options.
+ * @param {String} opts.inputDir - The folder that was bundled.  Budgets are read from the package.js files in it.
+ * @param {Number|String|Object} [opts.budgets] - The budgets used for folders that don't set one in their package.js file.
+ * @param {Boolean} [opts.minified] - Set to true when the bundles were minified.
+ * @returns {Object} The report.  It has a bundles property with an item for each bundle and an overBudget property
+ *                   with the items for the bundles that are larger than their budget.
+ */
+function createReport(entries, previous, opts) {
+  const bundles = entries
+    .map(entry => {
+      const id = Manifest.getId(entry.kind, entry.source);
+      const previousEntry = previous ? previous.bundles[id] : null;
+      let limit = getLimit(getFolderBudget(opts.inputDir, entry.source), entry.kind);
+      if (typeof limit === 'undefined') {
+        limit = getLimit(opts.budgets, entry.kind);
+      }
+      const budget = (typeof limit === 'undefined') ? null : parseSize(limit);
+
+      return {
+        id,
+        kind: entry.kind,
+        output: entry.output,
+        size: entry.size,
+        rawSize: entry.rawSize,
+        minifiedSize: opts.minified ? entry.size : null,
+        gzipSize: (typeof entry.gzipSize === 'number') ? entry.gzipSize : null,
+        previousSize: previousEntry ? previousEntry.size : null,
+        delta: previousEntry ? entry.size - previousEntry.size : null,
+        budget,
+        overBudget: budget !== null && entry.size > budget
+      };
+    })
+    .sort((a, b) => (a.id < b.id ? -1 : 1));
+
+  return {
+    bundles,
+    overBudget: bundles.filter(item => item.overBudget)
+  };
+}
+
+/**
+ * Format a report as a table that can be written to the console.
+ *
+ * @param {Object} report - The report created by the createReport function.
+ * @returns {String} The table.
+ */
+function formatReport(report) {
+  const rows = [['Bundle', 'Kind', 'Raw', 'Minified', 'Gzip', 'Change', 'Budget']];
+  report.bundles.forEach(item => {
+    rows.push([
+      item.output,
+      item.kind,
+      formatSize(item.rawSize),
+      formatSize(item.minifiedSize),
+      formatSize(item.gzipSize),
+      formatDelta(item),
+      (item.budget === null) ? '-' : formatSize(item.budget) + (item.overBudget ? ' (over)' : '')
+    ]);
+  });
+
+  const widths = rows[0].map((heading, column) => Math.max.apply(null, rows.map(row => row[column].length)));
+  return rows
+    .map(row => row.map((value, column) => {
+      // left align the names and right align the sizes
+      const padding = ' '.repeat(widths[column] - value.length);
+      return (column < 2) ? value + padding : padding + value;
+    }).join('  '))
+    .join('\n');
+}
+
+/**
+ * Get a message for each bundle in the report that is larger than its budget.
+ *
+ * @param {Object} report - The report created by the createReport function.
+ * @returns {Array} The messages.
+ */
+function getBudgetErrors(report) {
+  return report.overBudget.map(item => 'The bundle ' + item.output + ' is ' + formatSize(item.size) +
+    ' which is over its budget of ' + formatSize(item.budget) + '.');
+}
+
+module.exports = {
+  parseSize,
+  formatSize,
+  loadPrevious,
+  createReport,
+  formatReport,
+  getBudgetErrors
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * The entry point for worker processes started by the WorkerPool class.  Each message is a task to build a single
+ * bundle and the events and result of the task are sent back to the parent process.
+ */
+const buildBundle = require('./buildBundle');
+
+const state = {
+  trees: {},
+  events: {
+    emit: (name, data) => process.send({ type: 'event', name, data }),
+    listenerCount: () => 0
+  }
+};
+
+process.on('message', task => {
+  buildBundle.bundleTask(task, state, (err, result) => {
+    process.send({
+      type: 'done',
+      error: err ? { message: err.message, failures: err.failures } : null,
+      result
+    });
+  });
+});
@@ -0,0 +1,114 @@
+'use strict';
+
+const childProcess = require('child_process');
+const path = require('path');
+
+/**
+ * The script that is run in each worker process.
+ */
+const workerScript = path.join(__dirname, 'worker.js');
+
+/**
+ * This class runs bundles in worker processes so they are built and minified on more than one core.  Workers are
+ * started as they are needed up to the size of the pool and each one builds a single bundle at a time.
+ *
+ * @constructor
+ * @param {Number} size - The largest number of worker processes to start.
+ */
+const WorkerPool = function (size) {
+  this.size = size;
+  this.workers = [];
+  this.queue = [];
+};
+
+/**
+ * Run a task in a worker.
+ *
+ * @param {Object} task - The task to send to the worker.  It must be able to be serialized as JSON.
+ * @param {Function} onEvent - Called with the name and data of each event the worker emits for the task.
+ * @param {Function} cb - Called once the task has finished.  It will be passed an error if one occured and the result.
+ * @returns {void}
+ */
+WorkerPool.prototype.run = function (task, onEvent, cb) {
+  this.queue.push({ task, onEvent, cb });
+  this.next();
+};
+
+/**
+ * Stop all of the workers.
+ *
+ * @returns {void}
+ */
+WorkerPool.prototype.close = function () {
+  this.workers.forEach(worker => {
+    worker.closing = true;
+    worker.process.disconnect();
+  });
+  this.workers = [];
+};
+
+/**
+ * Give waiting tasks to idle workers, starting new workers while there is room for them.
+ *
+ * @ignore
+ * @returns {void}
+ */
+WorkerPool.prototype.next = function () {
+  while (this.queue.length) {
+    let worker = this.workers.find(item => !item.current);
+    if (!worker) {
+      if (this.workers.length >= this.size) {
+        return;
+      }
+      worker = this.start();
+    }
+    worker.current = this.queue.shift();
+    worker.process.send(worker.current.task);
+  }
+};
+
+/**
+ * Start a worker process.
+ *
+ * @ignore
+ * @returns {Object} The worker.
+ */
+WorkerPool.prototype.start = function () {
+  const worker = { process: childProcess.fork(workerScript), current: null, closing: false };
+
+  worker.process.on('message', message => {
+    const current = worker.current;
+    if (!current) {
+      return;
+    }
+    if (message.type === 'event') {
+      current.onEvent(message.name, message.data);
+    } else if (message.type === 'done') {
+      worker.current = null;
+      let error = null;
+      if (message.error) {
+        error = new Error(message.error.message);
+        error.failures = message.error.failures;
+      }
+      current.cb(error, message.result);
+      this.next();
+    }
+  });
+
+  worker.process.on('exit', code => {
+    this.workers = this.workers.filter(item => item !== worker);
+    if (worker.current) {
+      const current = worker.current;
+      worker.current = null;
+      current.cb(new Error('A worker process exited with code ' + code + ' while building a bundle.'));
+    }
+    if (!worker.closing) {
+      this.next();
+    }
+  });
+
+  this.workers.push(worker);
+  return worker;
+};
+
+module.exports = WorkerPool;
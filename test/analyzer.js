@@ -0,0 +1,80 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const Builder = require('../src/builder');
+const analyzer = require('../src/analyzer');
+
+const inputDir = path.join('test', 'fixtures', 'apps');
+const outputDir = path.join('testOutput', 'analyzer');
+
+/**
+ * Create a recorded module.
+ *
+ * @ignore
+ * @param {String} file - The absolute path of the file for the module.
+ * @param {Number} size - The size of the module.
+ * @param {Object} [deps] - The files the module requires keyed by the name they are required with.
+ * @param {Boolean} [entry] - Set to true for an entry module.
+ * @returns {Object} The module.
+ */
+function createModule(file, size, deps, entry) {
+  return { file, size, gzipSize: Math.round(size / 2), deps: deps || {}, entry: !!entry };
+}
+
+describe('analyzer', function () {
+  this.timeout(60000);
+
+  afterEach(function () {
+    del.sync(outputDir);
+  });
+
+  it('lists the modules of each bundle with the chain of requires that included them', function () {
+    const app = path.resolve('src/apps/login/oauth/oauth.app.js');
+    const util = path.resolve('src/apps/login/util.js');
+    const format = path.resolve('src/apps/login/format.js');
+    const analysis = analyzer.createAnalysis([{ kind: 'app', source: 'login/oauth', output: 'apps/login/oauth/bundle.js', size: 300 }], {
+      'apps/login/oauth': [
+        createModule(format, 50),
+        createModule(app, 100, { './util': util }, true),
+        createModule(util, 150, { './format': format })
+      ]
+    });
+
+    assert.deepStrictEqual(analysis.bundles[0].modules.map(mod => [mod.file, mod.size, mod.chain]), [
+      ['src/apps/login/util.js', 150, ['src/apps/login/oauth/oauth.app.js', 'src/apps/login/util.js']],
+      ['src/apps/login/oauth/oauth.app.js', 100, ['src/apps/login/oauth/oauth.app.js']],
+      ['src/apps/login/format.js', 50, ['src/apps/login/oauth/oauth.app.js', 'src/apps/login/util.js', 'src/apps/login/format.js']]
+    ]);
+  });
+
+  it('suggests the closest common bundle for modules in more than one app', function () {
+    const shared = path.resolve('src/apps/login/shared.js');
+    const entries = ['login/oauth', 'login/sso'].map(source => ({ kind: 'app', source, output: 'apps/' + source + '/bundle.js', size: 200 }));
+    const analysis = analyzer.createAnalysis(entries, {
+      'apps/login/oauth': [createModule(shared, 80, {}, true)],
+      'apps/login/sso': [createModule(shared, 80, {}, true)]
+    });
+
+    assert.deepStrictEqual(analysis.duplicates.map(dup => [dup.file, dup.bundles, dup.wasted, dup.suggestion]), [
+      ['src/apps/login/shared.js', ['apps/login/oauth', 'apps/login/sso'], 80, 'apps/login']
+    ]);
+  });
+
+  it('writes the analysis next to the manifest when a build is analyzed', function () {
+    return Builder.build({ inputDir, outputDir, mode: 'development', report: false, analyze: true })
+      .then(() => {
+        const analysis = JSON.parse(fs.readFileSync(path.join(outputDir, 'analysis.json'), 'utf8'));
+        assert.deepStrictEqual(analysis.bundles.map(item => [item.id, item.modules.map(mod => mod.file)]), [
+          ['apps/framework', ['test/fixtures/apps/framework/math.js']],
+          ['apps/login', ['test/fixtures/apps/login/util.js']],
+          ['apps/login/oauth', ['test/fixtures/apps/login/oauth/oauth.app.js']],
+          ['packages', ['minimist']]
+        ]);
+        assert.deepStrictEqual(analysis.duplicates, []);
+        assert.ok(fs.readFileSync(path.join(outputDir, 'analysis.html'), 'utf8').indexOf('oauth.app.js') !== -1);
+      });
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('assert');
+const boundaries = require('../src/boundaries');
+
+describe('boundaries', function () {
+  describe('findRequires', function () {
+    it('finds require calls and import statements with their location', function () {
+      const source = [
+        'var util = require(\'./util\');',
+        'import React from "react";',
+        'const chunk = require(`lodash/chunk`);'
+      ].join('\n');
+      assert.deepStrictEqual(boundaries.findRequires(source), [
+        { request: './util', line: 1, column: 12 },
+        { request: 'react', line: 2, column: 1 },
+        { request: 'lodash/chunk', line: 3, column: 15 }
+      ]);
+    });
+
+    it('ignores requires in strings and comments', function () {
+      const source = [
+        'var text = "require(\'del\')";',
+        '/*',
+        '  require(\'./sibling\');',
+        '*/',
+        '// require(\'./other\');'
+      ].join('\n');
+      assert.deepStrictEqual(boundaries.findRequires(source), []);
+    });
+
+    it('finds requires in sloppy mode code', function () {
+      assert.deepStrictEqual(boundaries.findRequires('with (Math) { require(\'./util\'); }'),
+        [{ request: './util', line: 1, column: 15 }]);
+    });
+
+    it('returns nothing for code that cannot be parsed', function () {
+      assert.deepStrictEqual(boundaries.findRequires('require(\'./util\'); <div />'), []);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const stream = require('stream');
+const del = require('del');
+const BundleManager = require('../src/bundleManager');
+
+const inputDir = path.join('test', 'fixtures', 'apps');
+const outputDir = path.join('testOutput', 'buildBundle');
+const cacheDir = path.join('testOutput', 'buildBundleCache');
+
+/**
+ * Build the fixture apps.
+ *
+ * @ignore
+ * @param {Object} options - The options to add to the defaults.
+ * @returns {Promise} A promise that resolves with the manifest entries for the bundles that were built.
+ */
+function build(options) {
+  return BundleManager.Builder.build(Object.assign({ inputDir, outputDir, report: false }, options));
+}
+
+describe('buildBundle', function () {
+  this.timeout(60000);
+
+  afterEach(function () {
+    del.sync([outputDir, cacheDir]);
+  });
+
+  describe('cache', function () {
+    it('restores the bundles of a new version from the cache', function () {
+      let records = null;
+      return build({ version: '1.0.0', cacheDir })
+        .then(() => {
+          records = fs.readdirSync(path.join(cacheDir, 'records')).sort();
+          assert.strictEqual(records.length, 4);
+          return build({ version: '2.0.0', cacheDir });
+        })
+        .then(() => {
+          assert.deepStrictEqual(fs.readdirSync(path.join(cacheDir, 'records')).sort(), records);
+          ['framework', 'login', path.join('login', 'oauth')].forEach(source => {
+            assert.strictEqual(
+              fs.readFileSync(path.join(outputDir, '2.0.0', 'apps', source, 'bundle.js'), 'utf8'),
+              fs.readFileSync(path.join(outputDir, '1.0.0', 'apps', source, 'bundle.js'), 'utf8'));
+          });
+        });
+    });
+  });
+
+  describe('hash', function () {
+    it('names each bundle and its source map by the hash of its content', function () {
+      let first = null;
+      return build({ version: '1.0.0', hash: true })
+        .then(entries => {
+          first = entries;
+          entries.forEach(entry => {
+            const name = path.basename(entry.output);
+            assert.ok(name.indexOf('.' + entry.hash.slice(0, 8) + '.js') !== -1, name + ' includes the hash');
+            const code = fs.readFileSync(path.join(outputDir, entry.output), 'utf8');
+            assert.ok(code.indexOf('//# sourceMappingURL=' + name + '.map') !== -1, name + ' points at its source map');
+            assert.ok(fs.existsSync(path.join(outputDir, entry.output + '.map')), name + ' has a source map');
+          });
+          return build({ version: '1.0.1', hash: true, clean: false });
+        })
+        .then(entries => {
+          const getName = entry => entry.kind + ' ' + path.basename(entry.output);
+          assert.deepStrictEqual(entries.map(getName).sort(), first.map(getName).sort());
+        });
+    });
+  });
+
+  describe('mode', function () {
+    it('builds unminified bundles with inline source maps and no compressed copies in development', function () {
+      return build({ mode: 'development' })
+        .then(entries => {
+          entries.forEach(entry => {
+            const filePath = path.join(outputDir, entry.output);
+            const code = fs.readFileSync(filePath, 'utf8');
+            assert.ok(code.indexOf('//# sourceMappingURL=data:application/json') !== -1, entry.output + ' has an inline source map');
+            assert.deepStrictEqual(entry.encodings, []);
+            ['.map', '.gz', '.br'].forEach(extension => assert.ok(!fs.existsSync(filePath + extension)));
+          });
+          const code = fs.readFileSync(path.join(outputDir, 'apps', 'framework', 'bundle.js'), 'utf8');
+          assert.ok(code.indexOf('module.exports = function (a, b) { return a + b; };') !== -1, 'the code is not minified');
+        });
+    });
+
+    it('builds minified bundles with source map files and compressed copies in production', function () {
+      return build({ mode: 'production' })
+        .then(entries => {
+          entries.forEach(entry => {
+            const filePath = path.join(outputDir, entry.output);
+            const code = fs.readFileSync(filePath, 'utf8');
+            assert.ok(code.indexOf('//# sourceMappingURL=' + path.basename(filePath) + '.map') !== -1, entry.output + ' links its map');
+            assert.deepStrictEqual(entry.encodings, ['gzip', 'br']);
+            ['.map', '.gz', '.br'].forEach(extension => assert.ok(fs.existsSync(filePath + extension)));
+          });
+          const code = fs.readFileSync(path.join(outputDir, 'apps', 'framework', 'bundle.js'), 'utf8');
+          assert.ok(code.indexOf('module.exports=function(') !== -1, 'the code is minified');
+        });
+    });
+  });
+
+  describe('transforms', function () {
+    it('applies transforms and plugins to the kinds of bundles they are given for', function () {
+      const seen = { all: [], app: [] };
+      const plugged = [];
+      const getPath = file => path.relative(inputDir, file).replace(/\\/g, '/');
+      const record = file => {
+        seen.all.push(getPath(file));
+        return new stream.PassThrough();
+      };
+      const replace = (file, opts) => {
+        seen.app.push(getPath(file));
+        let code = '';
+        return new stream.Transform({
+          transform(chunk, encoding, next) {
+            code += chunk;
+            next();
+          },
+          flush(next) {
+            this.push(code.split(opts.from).join(opts.to));
+            next();
+          }
+        });
+      };
+
+      return build({
+        mode: 'development',
+        transforms: { all: [record], app: [[replace, { from: 'oauth', to: 'transformed' }]] },
+        plugins: { lib: [bundler => plugged.push(bundler)] }
+      })
+        .then(() => {
+          assert.deepStrictEqual(seen.all.sort(), ['framework/math.js', 'login/oauth/oauth.app.js', 'login/util.js']);
+          assert.deepStrictEqual(seen.app, ['login/oauth/oauth.app.js']);
+          assert.strictEqual(plugged.length, 1);
+          const code = fs.readFileSync(path.join(outputDir, 'apps', 'login', 'oauth', 'bundle.js'), 'utf8');
+          assert.ok(code.indexOf('\'--provider\', \'transformed\'') !== -1, 'the app transform changed the code');
+        });
+    });
+  });
+
+  describe('workers', function () {
+    it('builds the same bundles in worker processes', function () {
+      const getOutput = entries => entries
+        .map(entry => [entry.kind, entry.source, entry.output, entry.hash, entry.integrity, entry.encodings])
+        .sort();
+      let expected = null;
+      return build({ version: '1.0.0', concurrency: 1 })
+        .then(entries => {
+          expected = getOutput(entries);
+          return build({ version: '1.0.0', concurrency: 2, workers: true });
+        })
+        .then(entries => {
+          assert.deepStrictEqual(getOutput(entries), expected);
+        });
+    });
+  });
+
+  describe('manifest', function () {
+    it('lists the package bundles of the last version when only app bundles are built', function () {
+      return build({ version: '1.0.0' })
+        .then(() => build({ version: '2.0.0', emit: 'app' }))
+        .then(() => {
+          const manager = new BundleManager({ inputDir: outputDir, version: '2.0.0' });
+          assert.deepStrictEqual(manager.getScripts('login/oauth').map(script => script.url), [
+            '/packages/bundle-1.0.0.js',
+            '/2.0.0/apps/framework/bundle.js',
+            '/2.0.0/apps/login/bundle.js',
+            '/2.0.0/apps/login/oauth/bundle.js'
+          ]);
+        });
+    });
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const BuildCache = require('../src/buildCache');
+
+const inputDir = path.join('testOutput', 'buildCacheInput');
+const cacheDir = path.join('testOutput', 'buildCache');
+const file = path.resolve(inputDir, 'util.js');
+
+/**
+ * Write the file a bundle is built from and add a bundle for it to a new cache.
+ *
+ * @ignore
+ * @param {String} key - The key for the bundle.
+ * @param {String} content - The content of the file.
+ * @returns {void}
+ */
+function build(key, content) {
+  fs.writeFileSync(file, content);
+  new BuildCache(cacheDir).set(key, { buf: Buffer.from('bundle of ' + content), rawSize: content.length, packages: [], modules: null }, [file]);
+}
+
+describe('BuildCache', function () {
+  beforeEach(function () {
+    mkdirp.sync(inputDir);
+  });
+
+  afterEach(function () {
+    del.sync([inputDir, cacheDir]);
+  });
+
+  it('restores the bundle built from the current content of its files', function () {
+    const cache = new BuildCache(cacheDir);
+    const key = cache.getKey(['app', 'util.js']);
+    build(key, 'one');
+    build(key, 'two');
+
+    fs.writeFileSync(file, 'one');
+    assert.strictEqual(new BuildCache(cacheDir).get(key).buf.toString(), 'bundle of one');
+    fs.writeFileSync(file, 'two');
+    assert.strictEqual(new BuildCache(cacheDir).get(key).buf.toString(), 'bundle of two');
+    assert.strictEqual(fs.readdirSync(path.join(cacheDir, 'records', key)).length, 2);
+  });
+
+  it('returns null when none of the records match the files', function () {
+    const key = new BuildCache(cacheDir).getKey(['app', 'util.js']);
+    build(key, 'one');
+    fs.writeFileSync(file, 'three');
+    assert.strictEqual(new BuildCache(cacheDir).get(key), null);
+    assert.strictEqual(new BuildCache(cacheDir).get(new BuildCache(cacheDir).getKey(['other'])), null);
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+/* global Promise */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const Builder = require('../src/builder');
+
+const fixtureDir = path.join('test', 'fixtures', 'apps');
+const inputDir = path.join('testOutput', 'builderInput');
+const outputDir = path.join('testOutput', 'builder');
+
+/**
+ * Copy a folder and everything in it.
+ *
+ * @ignore
+ * @param {String} from - The folder to copy.
+ * @param {String} to - The folder to copy to.
+ * @returns {void}
+ */
+function copyDir(from, to) {
+  mkdirp.sync(to);
+  fs.readdirSync(from).forEach(name => {
+    const fromPath = path.join(from, name);
+    if (fs.statSync(fromPath).isDirectory()) {
+      copyDir(fromPath, path.join(to, name));
+    } else {
+      fs.writeFileSync(path.join(to, name), fs.readFileSync(fromPath));
+    }
+  });
+}
+
+describe('Builder', function () {
+  this.timeout(60000);
+
+  beforeEach(function () {
+    copyDir(fixtureDir, inputDir);
+  });
+
+  afterEach(function () {
+    del.sync([inputDir, outputDir]);
+  });
+
+  describe('duplicates', function () {
+    beforeEach(function () {
+      fs.writeFileSync(path.join(inputDir, 'login', 'oauth', 'package.js'), 'module.exports = { modules: [{ require: \'minimist\' }] };\n');
+    });
+
+    it('emits a warning for a package in more than one bundle loaded by an app', function () {
+      const builder = new Builder({ inputDir, outputDir, mode: 'development', report: false });
+      const warnings = [];
+      builder.on('warning', event => warnings.push(event));
+      return builder.build().then(() => {
+        assert.deepStrictEqual(warnings.map(warning => warning.type), ['duplicate']);
+        assert.ok(/^minimist is in more than one bundle loaded by apps\/login\/oauth: .* in packages, .* in packages\/login\/oauth\.$/
+          .test(warnings[0].message), warnings[0].message);
+      });
+    });
+
+    it('fails the build when duplicates are errors', function () {
+      return Builder.build({ inputDir, outputDir, mode: 'development', report: false, duplicates: 'error' })
+        .then(() => assert.fail('the build should fail'), err => {
+          assert.ok(err.message.indexOf('minimist is in more than one bundle loaded by apps/login/oauth') !== -1, err.message);
+        });
+    });
+  });
+
+  describe('events', function () {
+    it('emits the size report and warnings instead of writing them to the console', function () {
+      const ssoDir = path.join(inputDir, 'login', 'sso');
+      mkdirp.sync(ssoDir);
+      fs.writeFileSync(path.join(ssoDir, 'sso.app.js'), 'require(\'../oauth/oauth.app\');\n');
+
+      const builder = new Builder({ inputDir, outputDir, mode: 'development' });
+      const reports = [];
+      const warnings = [];
+      const written = [];
+      builder.on('report', event => reports.push(event));
+      builder.on('warning', event => warnings.push(event));
+
+      const log = console.log;
+      const error = console.error;
+      console.log = console.error = message => written.push(message);
+      const restore = () => {
+        console.log = log;
+        console.error = error;
+      };
+
+      return builder.build()
+        .then(restore, err => {
+          restore();
+          throw err;
+        })
+        .then(() => {
+          assert.deepStrictEqual(written, []);
+          assert.strictEqual(reports.length, 1);
+          assert.strictEqual(reports[0].target, 'legacy');
+          assert.ok(reports[0].text.indexOf('login/oauth') !== -1, 'the table lists the bundles');
+          assert.deepStrictEqual(warnings.map(warning => warning.type), ['boundary']);
+          assert.ok(warnings[0].message.indexOf('../oauth/oauth.app') !== -1, 'the warning names the require');
+        });
+    });
+  });
+
+  describe('watch', function () {
+    it('rebuilds every output format when a file changes', function () {
+      const builder = new Builder({ inputDir, outputDir, format: 'both', mode: 'development', report: false });
+      const rebuilt = {};
+      const changed = new Promise((resolve, reject) => {
+        builder.on('error', reject);
+        builder.on('rebuild', event => {
+          rebuilt[event.target] = event.entries.map(entry => entry.output);
+          if (Object.keys(rebuilt).length === 2) {
+            resolve();
+          }
+        });
+      });
+
+      return builder.watch()
+        .then(() => {
+          fs.writeFileSync(path.join(inputDir, 'login', 'util.js'), 'module.exports = function () { return \'changed\'; };\n');
+          return changed;
+        })
+        .then(() => builder.close())
+        .then(() => {
+          assert.deepStrictEqual(rebuilt, {
+            legacy: ['apps/login/bundle.js'],
+            module: ['apps/login/bundle.js']
+          });
+          ['', 'module'].forEach(dir => {
+            const code = fs.readFileSync(path.join(outputDir, dir, 'apps', 'login', 'bundle.js'), 'utf8');
+            assert.ok(code.indexOf('changed') !== -1, 'the ' + (dir || 'legacy') + ' bundle was rebuilt');
+          });
+        }, err => builder.close().then(() => {
+          throw err;
+        }));
+    });
+  });
+});
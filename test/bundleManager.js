@@ -0,0 +1,209 @@
+'use strict';
+
+/* global Promise */
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const del = require('del');
+const BundleManager = require('../src/bundleManager');
+
+const inputDir = path.join('test', 'fixtures', 'apps');
+const outputDir = path.join('testOutput', 'bundleManager');
+
+/**
+ * Get the path of a bundle file from its url.
+ *
+ * @ignore
+ * @param {String} url - The url of the bundle.
+ * @returns {String} The path of the file.
+ */
+function getFilePath(url) {
+  return path.join(outputDir, url);
+}
+
+describe('BundleManager', function () {
+  this.timeout(60000);
+
+  before(function () {
+    return BundleManager.Builder.build({ inputDir, outputDir, version: '1.0.0', report: false });
+  });
+
+  after(function () {
+    del.sync(outputDir);
+  });
+
+  describe('encodings', function () {
+    it('emits gzip and brotli copies that decode to the bundle', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0' });
+      const scripts = manager.getScripts('login/oauth');
+      manager.getScripts('login/oauth', 'br').forEach((script, index) => {
+        assert.strictEqual(script.url, scripts[index].url + '.br');
+        assert.deepStrictEqual(zlib.brotliDecompressSync(fs.readFileSync(getFilePath(script.url))),
+          fs.readFileSync(getFilePath(scripts[index].url)));
+      });
+      manager.getScripts('login/oauth', 'gzip').forEach((script, index) => {
+        assert.strictEqual(script.url, scripts[index].url + '.gz');
+        assert.deepStrictEqual(zlib.gunzipSync(fs.readFileSync(getFilePath(script.url))),
+          fs.readFileSync(getFilePath(scripts[index].url)));
+      });
+    });
+
+    it('picks the best encoding from an Accept-Encoding header', function () {
+      assert.strictEqual(BundleManager.getEncoding('gzip, deflate, br'), 'br');
+      assert.strictEqual(BundleManager.getEncoding('gzip, deflate'), 'gzip');
+      assert.strictEqual(BundleManager.getEncoding('br;q=0, gzip'), 'gzip');
+      assert.strictEqual(BundleManager.getEncoding(''), 'identity');
+    });
+
+    it('falls back to gzip for bundles that were not compressed with brotli', function () {
+      const gzipDir = outputDir + 'Gzip';
+      return BundleManager.Builder.build({ inputDir, outputDir: gzipDir, version: '1.0.0', compress: 'gzip', report: false })
+        .then(() => {
+          const manager = new BundleManager({ inputDir: gzipDir, version: '1.0.0' });
+          del.sync(gzipDir);
+          manager.getScripts('login/oauth', 'br').forEach(script => {
+            assert.ok(/\.js\.gz$/.test(script.url), script.url + ' is gzipped');
+          });
+        });
+    });
+  });
+
+  describe('integrity', function () {
+    it('adds the hash of each bundle to its script tag', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0', integrity: true });
+      const scripts = manager.getScripts('login/oauth');
+      assert.strictEqual(scripts.length, 4);
+      scripts.forEach(script => {
+        const content = fs.readFileSync(getFilePath(script.url));
+        assert.strictEqual(script.integrity, 'sha384-' + crypto.createHash('sha384').update(content).digest('base64'));
+      });
+      assert.deepStrictEqual(manager.getScriptTags('login/oauth'), scripts.map(script =>
+        '<script src="' + script.url + '" integrity="' + script.integrity + '" crossorigin="anonymous" defer></script>'));
+    });
+
+    it('uses the hash of the decoded bundle for compressed bundles', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0', integrity: true });
+      assert.deepStrictEqual(manager.getScripts('login/oauth', 'gzip').map(script => script.integrity),
+        manager.getScripts('login/oauth').map(script => script.integrity));
+    });
+
+    it('leaves the attributes out when integrity is not enabled', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0' });
+      manager.getScriptTags('login/oauth').forEach(tag => {
+        assert.strictEqual(tag.indexOf('integrity'), -1);
+        assert.strictEqual(tag.indexOf('crossorigin'), -1);
+      });
+    });
+  });
+
+  describe('render', function () {
+    it('renders the preload hints followed by the script tags', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0' });
+      const urls = manager.getScripts('login/oauth').map(script => script.url);
+      assert.strictEqual(manager.render('login/oauth', { nonce: 'abc' }), urls.map(url =>
+        '<link rel="preload" href="' + url + '" as="script" nonce="abc">').concat(urls.map(url =>
+        '<script src="' + url + '" nonce="abc" defer></script>')).join('\n'));
+      assert.strictEqual(manager.render('login/oauth', { preload: false, async: true }), urls.map(url =>
+        '<script src="' + url + '" async></script>').join('\n'));
+      assert.strictEqual(manager.render('missing'), undefined);
+    });
+
+    it('hints module bundles with modulepreload and pairs them with their legacy bundles', function () {
+      const bothDir = outputDir + 'Both';
+      return BundleManager.Builder.build({ inputDir, outputDir: bothDir, version: '1.0.0', format: 'both', mode: 'development', report: false })
+        .then(() => {
+          const manager = new BundleManager({ inputDir: bothDir, version: '1.0.0' });
+          del.sync(bothDir);
+          assert.deepStrictEqual(manager.render('login/oauth').split('\n').slice(0, 6), [
+            '<link rel="modulepreload" href="/module/packages/bundle-1.0.0.js">',
+            '<link rel="modulepreload" href="/module/1.0.0/apps/framework/bundle.js">',
+            '<link rel="modulepreload" href="/module/1.0.0/apps/login/bundle.js">',
+            '<link rel="modulepreload" href="/module/1.0.0/apps/login/oauth/bundle.js">',
+            '<script type="module" src="/module/packages/bundle-1.0.0.js"></script>',
+            '<script nomodule src="/packages/bundle-1.0.0.js" defer></script>'
+          ]);
+        });
+    });
+  });
+
+  describe('watch', function () {
+    const watchDir = outputDir + 'Watch';
+
+    afterEach(function () {
+      del.sync(watchDir);
+    });
+
+    it('reads the bundles in again once a new version has been built', function () {
+      let manager = null;
+      return BundleManager.Builder.build({ inputDir, outputDir: watchDir, version: '1.0.0', mode: 'development', report: false })
+        .then(() => new Promise((resolve, reject) => {
+          manager = new BundleManager({ inputDir: watchDir, latestVersion: true, watch: true });
+          manager.on('error', reject);
+          manager.watcher.on('ready', resolve);
+        }))
+        .then(() => {
+          assert.strictEqual(manager.getScripts('login/oauth')[3].url, '/1.0.0/apps/login/oauth/bundle.js');
+          const changed = new Promise(resolve => manager.once('change', resolve));
+          return BundleManager.Builder.build({ inputDir, outputDir: watchDir, version: '1.0.1', mode: 'development', report: false, clean: false })
+            .then(() => changed);
+        })
+        .then(event => {
+          manager.close();
+          assert.deepStrictEqual(event, { version: '1.0.1' });
+          assert.strictEqual(manager.getScripts('login/oauth')[3].url, '/1.0.1/apps/login/oauth/bundle.js');
+        }, err => {
+          if (manager) {
+            manager.close();
+          }
+          throw err;
+        });
+    });
+  });
+
+  describe('apps', function () {
+    it('lists the apps and looks them up by path or url', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0' });
+      assert.deepStrictEqual(manager.getApps(), ['login/oauth']);
+      assert.strictEqual(manager.hasApp('login/oauth'), true);
+      assert.strictEqual(manager.hasApp('/Login/OAuth/'), true);
+      assert.strictEqual(manager.hasApp('login'), false);
+      assert.strictEqual(manager.resolveApp('/login/oauth/callback?code=1#top'), 'login/oauth');
+      assert.strictEqual(manager.resolveApp('/login'), null);
+      assert.deepStrictEqual(manager.getChain('login/oauth').scripts, manager.getScripts('login/oauth'));
+      assert.strictEqual(manager.getScripts('missing'), undefined);
+    });
+
+    it('throws an error that lists the apps for a missing app in strict mode', function () {
+      const manager = new BundleManager({ inputDir: outputDir, version: '1.0.0', strict: true });
+      const message = 'There isn\'t an app for the path missing in ' + outputDir + ' for version 1.0.0.  The apps are login/oauth.';
+      assert.throws(() => manager.getScripts('missing'), err => err.message === message);
+      assert.throws(() => manager.render('missing'), err => err.message === message);
+      assert.throws(() => manager.resolveApp('/missing'), /There isn't an app for the path \/missing/);
+      assert.strictEqual(manager.getScripts('login/oauth').length, 4);
+    });
+  });
+
+  describe('urlTemplates', function () {
+    it('builds the url of each kind of bundle from its template', function () {
+      const manager = new BundleManager({
+        inputDir: outputDir,
+        version: '1.0.0',
+        baseUrlPath: '/static/',
+        packagesBaseUrl: 'https://cdn.example.com/',
+        urlTemplates: {
+          package: '{base}/{kind}/{version}/{path}',
+          app: data => data.base + '/' + data.path + '?v=' + data.version
+        }
+      });
+      assert.deepStrictEqual(manager.getScripts('login/oauth').map(script => script.url), [
+        'https://cdn.example.com/package/1.0.0/packages/bundle-1.0.0.js',
+        '/static/1.0.0/apps/framework/bundle.js',
+        '/static/1.0.0/apps/login/bundle.js',
+        '/static/1.0.0/apps/login/oauth/bundle.js?v=1.0.0'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const del = require('del');
+const BundleManager = require('../src/bundleManager');
+
+const inputDir = path.join('test', 'fixtures', 'chunks');
+const outputDir = path.join('testOutput', 'chunks');
+
+describe('chunks', function () {
+  this.timeout(60000);
+
+  afterEach(function () {
+    del.sync(outputDir);
+  });
+
+  it('uses the modules in the app bundle rather than including its own copies', function () {
+    return BundleManager.Builder.build({ inputDir, outputDir, mode: 'development', report: false })
+      .then(() => {
+        const appDir = path.join(outputDir, 'apps', 'admin');
+        const app = fs.readFileSync(path.join(appDir, 'bundle.js'), 'utf8');
+        const chunk = fs.readFileSync(path.join(appDir, 'chunk-editor.js'), 'utf8');
+        assert.strictEqual(chunk.indexOf('name: \'shared\''), -1);
+
+        const context = vm.createContext({});
+        context.window = context;
+        vm.runInContext(app, context);
+        vm.runInContext(chunk, context);
+        const editor = vm.runInContext('require', context)('/' + [inputDir, 'admin', 'editor.js'].join('/').replace(/\\/g, '/'));
+        assert.strictEqual(editor.name, 'shared');
+        assert.strictEqual(editor, context.appShared);
+      });
+  });
+});
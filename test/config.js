@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const config = require('../src/config');
+
+const configDir = path.join('testOutput', 'config');
+
+describe('config', function () {
+  describe('validate', function () {
+    it('accepts the hash algorithms for integrity values', function () {
+      ['sha256', 'sha384', 'sha512'].forEach(integrity => {
+        assert.deepStrictEqual(config.validate({ integrity }), []);
+      });
+    });
+
+    it('rejects unknown hash algorithms for integrity values', function () {
+      ['bogus', 'md5'].forEach(integrity => {
+        assert.strictEqual(config.validate({ integrity }).length, 1);
+      });
+    });
+
+    it('accepts the options of a typical configuration', function () {
+      assert.deepStrictEqual(config.validate({
+        inputDir: 'src/apps',
+        outputDir: 'dist',
+        mode: 'development',
+        compress: ['gzip'],
+        transforms: { all: ['envify'], app: ['babelify'] },
+        budgets: { app: '150kb' },
+        watch: undefined
+      }), []);
+    });
+
+    it('reports each unknown option and invalid value', function () {
+      assert.deepStrictEqual(config.validate({
+        outDir: 'dist',
+        mode: 'debug',
+        port: '8080',
+        transforms: { apps: [] }
+      }), [
+        'Unknown option: outDir',
+        'Invalid value for option mode: debug.  Expected one of development, production.',
+        'Invalid value for option port: 8080.  Expected a number.',
+        'Unknown property for option transforms: apps.  Expected one of all, app, lib, framework, package, legacy, module.'
+      ]);
+    });
+  });
+
+  describe('load', function () {
+    beforeEach(function () {
+      mkdirp.sync(configDir);
+    });
+
+    afterEach(function () {
+      del.sync(configDir);
+    });
+
+    it('reads bundle.config.js and resolves paths from its folder', function () {
+      fs.writeFileSync(path.join(configDir, 'bundle.config.js'),
+        'module.exports = { inputDir: \'src/apps\', outputDir: \'dist\', mode: \'development\' };\n');
+      assert.deepStrictEqual(config.load(null, configDir), {
+        inputDir: path.resolve(configDir, 'src', 'apps'),
+        outputDir: path.resolve(configDir, 'dist'),
+        mode: 'development'
+      });
+    });
+
+    it('reads the buildBundle property of package.json when there is no bundle.config.js', function () {
+      fs.writeFileSync(path.join(configDir, 'package.json'), JSON.stringify({ name: 'app', buildBundle: { outputDir: 'dist', hash: true } }));
+      assert.deepStrictEqual(config.load(null, configDir), { outputDir: path.resolve(configDir, 'dist'), hash: true });
+    });
+
+    it('returns null when there is no configuration', function () {
+      fs.writeFileSync(path.join(configDir, 'package.json'), JSON.stringify({ name: 'app' }));
+      assert.strictEqual(config.load(null, configDir), null);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const DevServer = require('../src/devServer');
+
+const root = path.join('testOutput', 'devServer');
+
+/**
+ * Make a GET request.
+ *
+ * @ignore
+ * @param {DevServer} devServer - The server to make the request to.
+ * @param {String} urlPath - The path to request.
+ * @param {Function} cb - Called with an error if one occured, or the response and its body.
+ * @returns {void}
+ */
+function get(devServer, urlPath, cb) {
+  http.get({ port: devServer.server.address().port, path: urlPath, agent: false }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => cb(null, res, Buffer.concat(chunks)));
+  }).on('error', cb);
+}
+
+describe('DevServer', function () {
+  let devServer = null;
+
+  before(function () {
+    mkdirp.sync(path.join(root, 'apps'));
+    fs.writeFileSync(path.join(root, 'apps', 'bundle.js'), 'console.log(1);');
+    fs.writeFileSync(path.join(root, 'apps', 'bundle.js.gz'), zlib.gzipSync('console.log(1);'));
+  });
+
+  after(function () {
+    del.sync(root);
+  });
+
+  beforeEach(function (done) {
+    // listen on any free port rather than the default one
+    devServer = new DevServer({ root });
+    devServer.server.listen(0, done);
+  });
+
+  afterEach(function (done) {
+    devServer.close(done);
+  });
+
+  it('serves files from the root directory', function (done) {
+    get(devServer, '/apps/bundle.js', (err, res, body) => {
+      assert.ifError(err);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/javascript; charset=utf-8');
+      assert.strictEqual(body.toString(), 'console.log(1);');
+      done();
+    });
+  });
+
+  it('serves compressed files with the type of the file they were created from', function (done) {
+    get(devServer, '/apps/bundle.js.gz', (err, res) => {
+      assert.ifError(err);
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.headers['content-type'], 'application/javascript; charset=utf-8');
+      assert.strictEqual(res.headers['content-encoding'], 'gzip');
+      done();
+    });
+  });
+
+  it('serves the client script', function (done) {
+    get(devServer, DevServer.clientPath, (err, res, body) => {
+      assert.ifError(err);
+      assert.strictEqual(res.statusCode, 200);
+      assert.ok(body.toString().indexOf('EventSource') !== -1);
+      done();
+    });
+  });
+
+  it('responds with 404 for files that do not exist', function (done) {
+    get(devServer, '/apps/missing.js', (err, res) => {
+      assert.ifError(err);
+      assert.strictEqual(res.statusCode, 404);
+      done();
+    });
+  });
+
+  it('responds with 400 for paths that are malformed or have null bytes', function (done) {
+    get(devServer, '/%E0%A4%A', (err, res) => {
+      assert.ifError(err);
+      assert.strictEqual(res.statusCode, 400);
+      get(devServer, '/apps/bundle.js%00.js', (nullError, nullRes) => {
+        assert.ifError(nullError);
+        assert.strictEqual(nullRes.statusCode, 400);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,27 @@
+'use strict';
+
+const assert = require('assert');
+const errorReport = require('../src/errorReport');
+
+describe('errorReport', function () {
+  describe('createBundleError', function () {
+    it('reads the location of a parse error from its message', function () {
+      const err = errorReport.createBundleError(new Error('Parsing file /src/apps/login/util.js: Unexpected token (4:8)'),
+        { source: 'login', kind: 'lib' });
+      const failure = errorReport.getFailures(err)[0];
+      assert.strictEqual(failure.file, '/src/apps/login/util.js');
+      assert.strictEqual(failure.line, 4);
+      assert.strictEqual(failure.column, 9);
+      assert.strictEqual(failure.message, 'Unexpected token');
+    });
+
+    it('reads the location of an error from its properties', function () {
+      const source = new Error('Unexpected token');
+      source.filename = '/src/apps/login/util.js';
+      source.line = 2;
+      source.column = 5;
+      const failure = errorReport.getFailures(errorReport.createBundleError(source, { source: 'login', kind: 'lib' }))[0];
+      assert.deepStrictEqual([failure.file, failure.line, failure.column], ['/src/apps/login/util.js', 2, 5]);
+    });
+  });
+});
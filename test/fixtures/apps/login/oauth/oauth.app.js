@@ -0,0 +1,4 @@
+var minimist = require('minimist');
+var util = require('../util');
+
+console.log(util(JSON.stringify(minimist(['--provider', 'oauth']))));
@@ -0,0 +1 @@
+module.exports = function (message) { return 'login: ' + message; };
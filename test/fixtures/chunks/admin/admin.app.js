@@ -0,0 +1 @@
+window.appShared = require('./shared');
@@ -0,0 +1 @@
+module.exports = { lazy: 'editor.js' };
@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const del = require('del');
+const Manifest = require('../src/manifest');
+
+const outputDir = path.join('testOutput', 'manifest');
+
+/**
+ * Create a manifest entry for a bundle.
+ *
+ * @ignore
+ * @param {String} kind - The kind of bundle.
+ * @param {String} source - The source folder of the bundle.
+ * @param {String} output - The path of the bundle file relative to the output directory.
+ * @returns {Object} The entry.
+ */
+function createEntry(kind, source, output) {
+  return { kind, source, output, size: 10, hash: 'abc', integrity: 'sha384-abc', encodings: [] };
+}
+
+/**
+ * Create a manifest with package, framework, lib and app bundles.
+ *
+ * @ignore
+ * @returns {Manifest} The manifest.
+ */
+function createManifest() {
+  const manifest = new Manifest(outputDir, '1.0.0');
+  manifest.add(createEntry('package', '', 'packages/bundle-1.0.0.js'));
+  manifest.add(createEntry('package', 'login/oauth', 'packages/login/oauth/bundle-2.0.0.js'));
+  manifest.add(createEntry('framework', 'framework', '1.0.0/apps/framework/bundle.js'));
+  manifest.add(createEntry('lib', 'login', '1.0.0/apps/login/bundle.js'));
+  manifest.add(createEntry('app', 'login/oauth', '1.0.0/apps/login/oauth/bundle.js'));
+  manifest.add(createEntry('app', 'login/sso', '1.0.0/apps/login/sso/bundle.js'));
+  return manifest;
+}
+
+describe('Manifest', function () {
+  afterEach(function () {
+    del.sync(outputDir);
+  });
+
+  it('writes the bundles to the version folder and reads them back in', function (done) {
+    const manifest = createManifest();
+    manifest.save(err => {
+      if (err) {
+        done(err);
+        return;
+      }
+      const loaded = new Manifest(outputDir, '1.0.0', 'other');
+      assert.strictEqual(loaded.filePath, path.join(outputDir, '1.0.0', 'bundles.json'));
+      assert.strictEqual(loaded.load(), true);
+      assert.strictEqual(loaded.frameworkName, 'framework');
+      assert.deepStrictEqual(loaded.bundles, JSON.parse(JSON.stringify(manifest.bundles)));
+      assert.deepStrictEqual(loaded.bundles['apps/login/oauth'].dependencies,
+        ['packages', 'apps/framework', 'apps/login', 'packages/login/oauth']);
+      done();
+    });
+  });
+
+  it('loads an empty manifest when the file does not exist', function () {
+    const manifest = new Manifest(outputDir, '2.0.0');
+    assert.strictEqual(manifest.load(), false);
+    assert.deepStrictEqual(manifest.bundles, {});
+  });
+
+  it('orders the chain of an app from the root folder down', function () {
+    assert.deepStrictEqual(createManifest().getChain('apps/login/oauth'),
+      ['packages', 'apps/framework', 'apps/login', 'packages/login/oauth', 'apps/login/oauth']);
+  });
+
+  it('leaves bundles in sibling folders out of the chain', function () {
+    assert.deepStrictEqual(createManifest().getChain('apps/login/sso'),
+      ['packages', 'apps/framework', 'apps/login', 'apps/login/sso']);
+  });
+
+  it('only includes package bundles in the chain of a package bundle', function () {
+    assert.deepStrictEqual(createManifest().getChain('packages/login/oauth'), ['packages', 'packages/login/oauth']);
+  });
+
+  it('returns an empty chain for a bundle that is not in the manifest', function () {
+    assert.deepStrictEqual(createManifest().getChain('apps/missing'), []);
+  });
+
+  it('finds the npm packages that are in more than one bundle loaded by an app', function () {
+    const manifest = createManifest();
+    manifest.bundles.packages.packages = ['minimist@1.2.8', 'lodash@4.17.21'];
+    manifest.bundles['packages/login/oauth'].packages = ['minimist@1.2.0'];
+    manifest.bundles['apps/login/sso'].packages = ['lodash@4.17.21'];
+    assert.deepStrictEqual(manifest.getDuplicatePackages(), [
+      { name: 'lodash', bundles: [{ id: 'packages', version: '4.17.21' }, { id: 'apps/login/sso', version: '4.17.21' }], apps: ['apps/login/sso'] },
+      { name: 'minimist', bundles: [{ id: 'packages', version: '1.2.8' }, { id: 'packages/login/oauth', version: '1.2.0' }], apps: ['apps/login/oauth'] }
+    ]);
+  });
+
+  it('removes the bundles that match a test', function () {
+    const manifest = createManifest();
+    manifest.remove(entry => entry.kind === 'package');
+    assert.deepStrictEqual(manifest.getBundlesByKind('package'), []);
+    assert.strictEqual(manifest.getBundlesByKind('app').length, 2);
+  });
+});
@@ -0,0 +1,181 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const del = require('del');
+const BundleManager = require('../src/bundleManager');
+
+const inputDir = path.join('test', 'fixtures', 'apps');
+const outputDir = path.join('testOutput', 'middleware');
+
+/**
+ * Serve the bundles of a bundle manager with the middleware.  Requests that are passed on get a 418 response.
+ *
+ * @ignore
+ * @param {Object} managerOpts - The options for the bundle manager.
+ * @param {Object} [middlewareOpts] - The options for the middleware.
+ * @param {Function} cb - Called with the server once it's listening.
+ * @returns {void}
+ */
+function listen(managerOpts, middlewareOpts, cb) {
+  const middleware = new BundleManager(Object.assign({ inputDir: outputDir, version: '1.0.0' }, managerOpts))
+    .middleware(middlewareOpts);
+  const server = http.createServer((req, res) => middleware(req, res, () => {
+    res.writeHead(418);
+    res.end();
+  }));
+  server.listen(0, () => cb(server));
+}
+
+/**
+ * Make a GET request.
+ *
+ * @ignore
+ * @param {Server} server - The server to make the request to.
+ * @param {String} urlPath - The path to request.
+ * @param {Object} [headers] - The request headers.
+ * @param {Function} cb - Called with an error if one occured, or the response and its body.
+ * @returns {void}
+ */
+function get(server, urlPath, headers, cb) {
+  http.get({ port: server.address().port, path: urlPath, headers, agent: false }, res => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => cb(null, res, Buffer.concat(chunks)));
+  }).on('error', cb);
+}
+
+describe('middleware', function () {
+  let server = null;
+
+  before(function () {
+    this.timeout(60000);
+    return BundleManager.Builder.build({ inputDir, outputDir, version: '1.0.0', report: false });
+  });
+
+  after(function () {
+    del.sync(outputDir);
+  });
+
+  afterEach(function (done) {
+    server.close(done);
+  });
+
+  describe('with the default base url', function () {
+    beforeEach(function (done) {
+      listen({}, null, listening => {
+        server = listening;
+        done();
+      });
+    });
+
+    it('serves the best encoding the browser accepts', function (done) {
+      get(server, '/1.0.0/apps/login/oauth/bundle.js', { 'accept-encoding': 'gzip, br' }, (err, res) => {
+        assert.ifError(err);
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['content-type'], 'application/javascript; charset=utf-8');
+        assert.strictEqual(res.headers['content-encoding'], 'br');
+        assert.strictEqual(res.headers.vary, 'Accept-Encoding');
+        assert.strictEqual(res.headers['cache-control'], 'public, max-age=31536000, immutable');
+        done();
+      });
+    });
+
+    it('serves the plain bundle when the browser does not accept compression', function (done) {
+      get(server, '/packages/bundle-1.0.0.js', {}, (err, res, body) => {
+        assert.ifError(err);
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(res.headers['content-encoding'], undefined);
+        assert.strictEqual(Number(res.headers['content-length']), body.length);
+        done();
+      });
+    });
+
+    it('responds with 304 when the etag matches', function (done) {
+      get(server, '/1.0.0/apps/login/bundle.js', {}, (err, res) => {
+        assert.ifError(err);
+        get(server, '/1.0.0/apps/login/bundle.js', { 'if-none-match': res.headers.etag }, (cachedError, cached) => {
+          assert.ifError(cachedError);
+          assert.strictEqual(cached.statusCode, 304);
+          done();
+        });
+      });
+    });
+
+    it('serves the script chain of an app', function (done) {
+      get(server, '/__build-bundle/chain/login/oauth?encoding=gzip', {}, (err, res, body) => {
+        assert.ifError(err);
+        const chain = JSON.parse(body.toString());
+        assert.strictEqual(res.statusCode, 200);
+        assert.strictEqual(chain.app, 'login/oauth');
+        assert.strictEqual(chain.encoding, 'gzip');
+        assert.strictEqual(chain.scripts.length, 4);
+        done();
+      });
+    });
+
+    it('passes on source maps, missing files and files that are not bundles', function (done) {
+      const paths = ['/1.0.0/apps/login/bundle.js.map', '/1.0.0/apps/missing/bundle.js', '/1.0.0/bundles.json'];
+      let count = 0;
+      paths.forEach(urlPath => {
+        get(server, urlPath, {}, (err, res) => {
+          assert.ifError(err);
+          assert.strictEqual(res.statusCode, 418, urlPath);
+          count++;
+          if (count === paths.length) {
+            done();
+          }
+        });
+      });
+    });
+
+    it('passes on paths that are malformed or have null bytes', function (done) {
+      get(server, '/%E0%A4%A', {}, (err, res) => {
+        assert.ifError(err);
+        assert.strictEqual(res.statusCode, 418);
+        get(server, '/1.0.0/apps/login/bundle.js%00.js', {}, (nullError, nullRes) => {
+          assert.ifError(nullError);
+          assert.strictEqual(nullRes.statusCode, 418);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('with separate base urls', function () {
+    beforeEach(function (done) {
+      listen({ appsBaseUrl: '/tenant/', packagesBaseUrl: 'https://cdn.example.com/shared/' }, { sourceMaps: true }, listening => {
+        server = listening;
+        done();
+      });
+    });
+
+    it('serves the bundles at the urls the bundle manager creates', function (done) {
+      const urls = ['/shared/packages/bundle-1.0.0.js', '/tenant/1.0.0/apps/login/bundle.js', '/tenant/1.0.0/apps/login/bundle.js.map'];
+      let count = 0;
+      urls.forEach(urlPath => {
+        get(server, urlPath, {}, (err, res) => {
+          assert.ifError(err);
+          assert.strictEqual(res.statusCode, 200, urlPath);
+          count++;
+          if (count === urls.length) {
+            done();
+          }
+        });
+      });
+    });
+
+    it('passes on bundles requested under the base url of the other kind', function (done) {
+      get(server, '/tenant/packages/bundle-1.0.0.js', {}, (err, res) => {
+        assert.ifError(err);
+        assert.strictEqual(res.statusCode, 418);
+        get(server, '/shared/1.0.0/apps/login/bundle.js', {}, (appError, appRes) => {
+          assert.ifError(appError);
+          assert.strictEqual(appRes.statusCode, 418);
+          done();
+        });
+      });
+    });
+  });
+});
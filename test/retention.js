@@ -0,0 +1,121 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const retention = require('../src/retention');
+
+const outputDir = path.join('testOutput', 'retention');
+
+/**
+ * Write a file and set the time it was last modified.
+ *
+ * @ignore
+ * @param {String} filePath - The path of the file relative to the output directory.
+ * @param {String} content - The content of the file.
+ * @param {Number} time - The time in seconds.
+ * @returns {void}
+ */
+function writeFile(filePath, content, time) {
+  const fullPath = path.join(outputDir, filePath);
+  mkdirp.sync(path.dirname(fullPath));
+  fs.writeFileSync(fullPath, content);
+  fs.utimesSync(fullPath, time, time);
+}
+
+/**
+ * Write a version folder with an app bundle and a manifest that lists the given package bundles.
+ *
+ * @ignore
+ * @param {String} version - The version.
+ * @param {Array} packages - The outputs of the package bundles.  When null no manifest is written.
+ * @param {Number} time - The time the version was built in seconds.
+ * @returns {void}
+ */
+function writeVersion(version, packages, time) {
+  writeFile(path.join(version, 'apps', 'login', 'bundle.js'), '', time);
+  if (packages) {
+    const bundles = {};
+    packages.forEach(output => {
+      bundles['packages/' + output] = { kind: 'package', source: output, output };
+    });
+    writeFile(path.join(version, 'bundles.json'), JSON.stringify({ version, bundles }), time);
+  }
+}
+
+/**
+ * Get the paths of the files that would be removed relative to the output directory.
+ *
+ * @ignore
+ * @param {Object} result - The result of getPrunable.
+ * @returns {Array} The sorted paths.
+ */
+function getRemoved(result) {
+  return result.remove.map(item => path.relative(outputDir, item).replace(/\\/g, '/')).sort();
+}
+
+describe('retention', function () {
+  beforeEach(function () {
+    writeFile('packages/bundle-1.0.0.js', '', 1000);
+    writeFile('packages/bundle-1.0.0.js.map', '', 1000);
+    writeFile('packages/bundle-2.0.0.js', '', 2000);
+    writeFile('packages/bundle-2.0.0.js.gz', '', 2000);
+  });
+
+  afterEach(function () {
+    del.sync(outputDir);
+  });
+
+  describe('getPrunable', function () {
+    it('removes old versions and the package bundles only they use', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 1000);
+      writeVersion('2.0.0', ['packages/bundle-2.0.0.js'], 2000);
+      const result = retention.getPrunable(outputDir, { retain: 1, version: '2.0.0' });
+      assert.deepStrictEqual(result.versions, ['2.0.0']);
+      assert.deepStrictEqual(getRemoved(result), ['1.0.0', 'packages/bundle-1.0.0.js', 'packages/bundle-1.0.0.js.map']);
+      assert.deepStrictEqual(result.warnings, []);
+    });
+
+    it('keeps the version that was just built even when another was built later', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 3000);
+      writeVersion('2.0.0', ['packages/bundle-2.0.0.js'], 2000);
+      const result = retention.getPrunable(outputDir, { retain: 1, version: '2.0.0' });
+      assert.deepStrictEqual(result.versions, ['2.0.0']);
+      assert.deepStrictEqual(getRemoved(result), ['1.0.0', 'packages/bundle-1.0.0.js', 'packages/bundle-1.0.0.js.map']);
+    });
+
+    it('keeps the package bundles used by every kept version', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 1000);
+      writeVersion('2.0.0', ['packages/bundle-2.0.0.js'], 2000);
+      const result = retention.getPrunable(outputDir, { retain: 2, version: '2.0.0' });
+      assert.deepStrictEqual(result.versions, ['2.0.0', '1.0.0']);
+      assert.deepStrictEqual(result.remove, []);
+    });
+
+    it('does not prune package bundles when a kept version has no manifest', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 1000);
+      writeVersion('2.0.0', null, 2000);
+      const result = retention.getPrunable(outputDir, { retain: 1, version: '2.0.0' });
+      assert.deepStrictEqual(getRemoved(result), ['1.0.0']);
+      assert.strictEqual(result.warnings.length, 1);
+    });
+
+    it('does not prune package bundles when a kept manifest lists no package bundles', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 1000);
+      writeVersion('2.0.0', [], 2000);
+      const result = retention.getPrunable(outputDir, { retain: 1, version: '2.0.0' });
+      assert.deepStrictEqual(getRemoved(result), ['1.0.0']);
+      assert.strictEqual(result.warnings.length, 1);
+    });
+
+    it('ignores folders that are excluded', function () {
+      writeVersion('1.0.0', ['packages/bundle-1.0.0.js'], 1000);
+      writeVersion('module', ['packages/bundle-2.0.0.js'], 2000);
+      const result = retention.getPrunable(outputDir, { retain: 1, version: '1.0.0', exclude: ['module'] });
+      assert.deepStrictEqual(result.versions, ['1.0.0']);
+      assert.deepStrictEqual(getRemoved(result), ['packages/bundle-2.0.0.js', 'packages/bundle-2.0.0.js.gz']);
+    });
+  });
+});
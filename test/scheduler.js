@@ -0,0 +1,39 @@
+'use strict';
+
+const assert = require('assert');
+const Scheduler = require('../src/scheduler');
+
+describe('Scheduler', function () {
+  it('runs no more than the limit of tasks at once and starts them in the order they were added', function () {
+    const scheduler = new Scheduler(2);
+    const started = [];
+    const finishers = {};
+    ['a', 'b', 'c', 'd'].forEach(name => {
+      scheduler.run(finish => {
+        started.push(name);
+        finishers[name] = finish;
+      });
+    });
+
+    assert.deepStrictEqual(started, ['a', 'b']);
+    finishers.b();
+    assert.deepStrictEqual(started, ['a', 'b', 'c']);
+    finishers.b();
+    assert.strictEqual(scheduler.running, 2, 'finishing a task twice only frees one slot');
+    finishers.a();
+    finishers.c();
+    finishers.d();
+    assert.deepStrictEqual(started, ['a', 'b', 'c', 'd']);
+    assert.strictEqual(scheduler.running, 0);
+  });
+
+  it('runs every task at once when there is no limit', function () {
+    const scheduler = new Scheduler();
+    let running = 0;
+    const task = () => running++;
+    for (let i = 0; i < 10; i++) {
+      scheduler.run(task);
+    }
+    assert.strictEqual(running, 10);
+  });
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const Builder = require('../src/builder');
+const sizeReport = require('../src/sizeReport');
+
+const inputDir = path.join('test', 'fixtures', 'apps');
+const outputDir = path.join('testOutput', 'sizeReport');
+
+/**
+ * Create a manifest entry with the given size.
+ *
+ * @ignore
+ * @param {String} kind - The kind of bundle.
+ * @param {String} source - The source folder of the bundle.
+ * @param {Number} size - The size of the bundle.
+ * @returns {Object} The entry.
+ */
+function createEntry(kind, source, size) {
+  return { kind, source, output: 'apps/' + source + '/bundle.js', size, rawSize: size * 2, gzipSize: Math.round(size / 2) };
+}
+
+describe('sizeReport', function () {
+  this.timeout(60000);
+
+  afterEach(function () {
+    del.sync(outputDir);
+  });
+
+  it('parses sizes with units', function () {
+    assert.strictEqual(sizeReport.parseSize(100), 100);
+    assert.strictEqual(sizeReport.parseSize('100'), 100);
+    assert.strictEqual(sizeReport.parseSize('150kb'), 150 * 1024);
+    assert.strictEqual(sizeReport.parseSize('1.5 MB'), 1.5 * 1024 * 1024);
+    assert.throws(() => sizeReport.parseSize('large'), /Invalid size: large/);
+  });
+
+  it('checks each bundle against the budget for its kind and finds the change from the last build', function () {
+    const previous = { bundles: { 'apps/login/oauth': { size: 1500 } } };
+    const report = sizeReport.createReport([
+      createEntry('app', 'login/oauth', 2048),
+      createEntry('lib', 'login', 1024)
+    ], previous, { inputDir, budgets: { all: '1kb', app: '2kb' }, minified: true });
+
+    assert.deepStrictEqual(report.bundles.map(item => [item.id, item.budget, item.overBudget, item.delta]), [
+      ['apps/login', 1024, false, null],
+      ['apps/login/oauth', 2048, false, 548]
+    ]);
+    assert.deepStrictEqual(sizeReport.getBudgetErrors(report), []);
+
+    const over = sizeReport.createReport([createEntry('lib', 'login', 1025)], null, { inputDir, budgets: '1kb' });
+    assert.deepStrictEqual(sizeReport.getBudgetErrors(over), ['The bundle apps/login/bundle.js is 1.0 kB which is over its budget of 1.0 kB.']);
+    assert.strictEqual(over.bundles[0].minifiedSize, null);
+  });
+
+  it('fails the build when a bundle is over its budget and writes the report file', function () {
+    const reportFile = path.join(outputDir, 'sizes.json');
+    return Builder.build({ inputDir, outputDir, mode: 'development', report: false, reportFile, budgets: { package: '1kb' } })
+      .then(() => assert.fail('the build should fail'), err => {
+        assert.ok(/The bundle packages\/bundle-1\.0\.0\.js is .* which is over its budget of 1\.0 kB\./.test(err.message), err.message);
+        const report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+        assert.deepStrictEqual(report.overBudget.map(item => item.id), ['packages']);
+      });
+  });
+});